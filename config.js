@@ -26,13 +26,22 @@ const config = {
         maxMessagesPerGroup: parseInt(process.env.ANTI_SPAM_MAX_MESSAGES_PER_GROUP) || 10,
         delayBetweenMessages: parseInt(process.env.ANTI_SPAM_DELAY_BETWEEN_MESSAGES) || 2000,
         cooldownPeriod: parseInt(process.env.ANTI_SPAM_COOLDOWN_PERIOD) || 300000, // 5 minutos
-        maxRetries: parseInt(process.env.ANTI_SPAM_MAX_RETRIES) || 3
+        maxRetries: parseInt(process.env.ANTI_SPAM_MAX_RETRIES) || 3,
+        // Intervalo antes da primeira nova tentativa; dobra a cada tentativa do grupo
+        retryDelay: parseInt(process.env.ANTI_SPAM_RETRY_DELAY) || 30000
     },
 
     // Configurações de upload
     upload: {
         maxSize: parseInt(process.env.UPLOAD_MAX_SIZE) || 5242880, // 5MB
         allowedExtensions: (process.env.UPLOAD_ALLOWED_EXTENSIONS || 'jpg,jpeg,png,gif,webp').split(','),
+        // Tamanho máximo por tipo de mídia (imagens usam maxSize)
+        limits: {
+            video: parseInt(process.env.UPLOAD_MAX_SIZE_VIDEO) || 16777216, // 16MB
+            document: parseInt(process.env.UPLOAD_MAX_SIZE_DOCUMENT) || 104857600, // 100MB
+            audio: parseInt(process.env.UPLOAD_MAX_SIZE_AUDIO) || 16777216, // 16MB
+            sticker: parseInt(process.env.UPLOAD_MAX_SIZE_STICKER) || 512000 // 500KB
+        },
         uploadDir: path.join(__dirname, 'uploads'),
         tempDir: path.join(__dirname, 'temp')
     },
@@ -68,6 +77,8 @@ const config = {
 
     // Configurações de dados
     database: {
+        driver: process.env.DB_DRIVER || 'json',
+        sqliteFile: process.env.DB_SQLITE_FILE || path.join(__dirname, 'data', 'wa-divulgacoes.db'),
         dataDir: path.join(__dirname, 'data'),
         authDir: path.join(__dirname, 'auth_info'),
         campaigns: path.join(__dirname, 'data', 'campaigns.json'),
@@ -80,6 +91,8 @@ const config = {
     // Configurações de campanhas
     campaigns: {
         maxConcurrentExecution: parseInt(process.env.CAMPAIGNS_MAX_CONCURRENT) || 3,
+        // Intervalo mínimo entre dois envios a grupos, somando todas as campanhas
+        minSendGap: parseInt(process.env.CAMPAIGNS_MIN_SEND_GAP) || 3000,
         defaultTimeout: parseInt(process.env.CAMPAIGNS_DEFAULT_TIMEOUT) || 30000,
         maxScheduledCampaigns: parseInt(process.env.CAMPAIGNS_MAX_SCHEDULED) || 50,
         minScheduleInterval: parseInt(process.env.CAMPAIGNS_MIN_SCHEDULE_INTERVAL) || 300000, // 5 minutos
@@ -115,7 +128,13 @@ const config = {
         enableHotReload: process.env.ENABLE_HOT_RELOAD === 'true',
         showDetailedErrors: process.env.SHOW_DETAILED_ERRORS !== 'false',
         enableTestMode: process.env.ENABLE_TEST_MODE === 'true',
-        mockWhatsApp: process.env.MOCK_WHATSAPP === 'true'
+        mockWhatsApp: process.env.MOCK_WHATSAPP === 'true',
+        mock: {
+            groupCount: parseInt(process.env.MOCK_WHATSAPP_GROUPS) || 5,
+            failureRate: parseFloat(process.env.MOCK_WHATSAPP_FAILURE_RATE) || 0,
+            scanDelay: parseInt(process.env.MOCK_WHATSAPP_SCAN_DELAY || '3000'),
+            sendDelay: parseInt(process.env.MOCK_WHATSAPP_SEND_DELAY || '200')
+        }
     },
 
     // Constantes do sistema
@@ -189,6 +208,11 @@ function validateConfig() {
         errors.push('Máximo de mensagens por grupo deve ser maior que 0');
     }
 
+    // Validar driver de armazenamento
+    if (!['json', 'sqlite'].includes(config.database.driver)) {
+        errors.push(`Driver de armazenamento inválido: ${config.database.driver}`);
+    }
+
     // Validar tamanho de upload
     if (config.upload.maxSize < 1024) {
         errors.push('Tamanho máximo de upload muito pequeno');
@@ -0,0 +1,166 @@
+/**
+ * Despachante das execuções de campanhas
+ *
+ * Toda execução passa por aqui antes de enviar qualquer mensagem:
+ *   - no máximo maxConcurrent execuções rodam ao mesmo tempo; as demais esperam
+ *     na fila, das de maior prioridade para as de menor e, na mesma prioridade,
+ *     por ordem de chegada;
+ *   - cada envio a um grupo pede sua vez com acquire(), que garante pelo menos
+ *     minGap milissegundos entre dois envios quaisquer, de todas as campanhas.
+ *     Quando várias execuções esperam, a de maior prioridade envia primeiro;
+ *     execuções de mesma prioridade se revezam.
+ *
+ * A sequência de etapas de um grupo conta como um único envio.
+ */
+
+const PRIORITIES = {
+    high: 2,
+    normal: 1,
+    low: 0
+};
+const DEFAULT_PRIORITY = 'normal';
+
+class Dispatcher {
+
+    /**
+     * @param {Object} options - Opções
+     * @param {number} options.maxConcurrent - Execuções simultâneas
+     * @param {number} options.minGap - Intervalo mínimo entre envios, em milissegundos
+     * @param {Function} options.run - async (executionId) => processa a execução
+     */
+    constructor({ maxConcurrent, minGap, run }) {
+        this.maxConcurrent = maxConcurrent;
+        this.minGap = minGap;
+        this.run = run;
+        this.sequence = 0;
+        this.waiting = [];
+        this.running = new Map();
+        this.sendWaiters = [];
+        this.sendTimer = null;
+        this.lastSendAt = 0;
+    }
+
+    /**
+     * Colocar uma execução na fila
+     *
+     * Uma execução que já está na fila ou rodando não é duplicada.
+     * @param {string} executionId - Id da execução
+     * @param {Object} info - { campaignId, campaignName, session, priority }
+     * @returns {Promise<void>} Resolvida quando a execução terminar de rodar
+     */
+    enqueue(executionId, info = {}) {
+        const existing = this.running.get(executionId) || this.waiting.find(entry => entry.executionId === executionId);
+        if (existing) return existing.done;
+
+        const entry = {
+            executionId,
+            ...info,
+            priority: PRIORITIES[info.priority] !== undefined ? info.priority : DEFAULT_PRIORITY,
+            order: ++this.sequence,
+            enqueuedAt: new Date().toISOString(),
+            startedAt: null
+        };
+        entry.done = new Promise(resolve => { entry.resolve = resolve; });
+
+        this.waiting.push(entry);
+        this.waiting.sort(byPriority);
+        this.startNext();
+        return entry.done;
+    }
+
+    /**
+     * Verificar se uma execução está na fila ou rodando
+     * @param {string} executionId - Id da execução
+     * @returns {boolean} Verdadeiro se estiver no despachante
+     */
+    has(executionId) {
+        return this.running.has(executionId) || this.waiting.some(entry => entry.executionId === executionId);
+    }
+
+    startNext() {
+        while (this.running.size < this.maxConcurrent && this.waiting.length > 0) {
+            const entry = this.waiting.shift();
+            entry.startedAt = new Date().toISOString();
+            this.running.set(entry.executionId, entry);
+
+            Promise.resolve()
+                .then(() => this.run(entry.executionId))
+                .catch(error => console.error('Erro na execução despachada:', error))
+                .finally(() => {
+                    this.running.delete(entry.executionId);
+                    entry.resolve();
+                    this.startNext();
+                });
+        }
+    }
+
+    /**
+     * Aguardar a vez de enviar para um grupo
+     * @param {string} executionId - Execução que vai enviar
+     * @returns {Promise<void>} Resolvida quando o envio puder começar
+     */
+    acquire(executionId) {
+        const entry = this.running.get(executionId);
+
+        return new Promise(resolve => {
+            this.sendWaiters.push({
+                executionId,
+                priority: entry?.priority || DEFAULT_PRIORITY,
+                // Na mesma prioridade, as execuções se revezam por ordem de pedido
+                order: ++this.sequence,
+                resolve
+            });
+            this.sendWaiters.sort(byPriority);
+            this.grantNext();
+        });
+    }
+
+    grantNext() {
+        if (this.sendTimer || this.sendWaiters.length === 0) return;
+
+        const wait = this.lastSendAt + this.minGap - Date.now();
+        if (wait > 0) {
+            this.sendTimer = setTimeout(() => {
+                this.sendTimer = null;
+                this.grantNext();
+            }, wait);
+            return;
+        }
+
+        this.lastSendAt = Date.now();
+        this.sendWaiters.shift().resolve();
+        this.grantNext();
+    }
+
+    /**
+     * Situação atual da fila
+     * @returns {Object} { maxConcurrent, minGap, running, waiting, waitingSends, nextSendAt }
+     */
+    snapshot() {
+        const describe = ({ executionId, campaignId, campaignName, session, priority, enqueuedAt, startedAt }) => ({
+            executionId, campaignId, campaignName, session, priority, enqueuedAt, startedAt
+        });
+
+        return {
+            maxConcurrent: this.maxConcurrent,
+            minGap: this.minGap,
+            running: [...this.running.values()].map(describe),
+            waiting: this.waiting.map(describe),
+            waitingSends: this.sendWaiters.length,
+            nextSendAt: this.sendWaiters.length > 0
+                ? new Date(Math.max(Date.now(), this.lastSendAt + this.minGap)).toISOString()
+                : null
+        };
+    }
+}
+
+// Maior prioridade primeiro; na mesma prioridade, quem chegou antes
+function byPriority(a, b) {
+    return PRIORITIES[b.priority] - PRIORITIES[a.priority] || a.order - b.order;
+}
+
+module.exports = {
+    PRIORITIES,
+    DEFAULT_PRIORITY,
+    Dispatcher
+};
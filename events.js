@@ -0,0 +1,82 @@
+const EventEmitter = require('events');
+
+const DEFAULT_BUFFER_SIZE = 500;
+
+/**
+ * Barramento de eventos em tempo real do painel
+ *
+ * Cada evento publicado recebe um id sequencial e fica guardado em um buffer
+ * circular, permitindo que clientes que perderam a conexão recebam de novo o
+ * que foi publicado depois do último id visto (cabeçalho Last-Event-ID do SSE).
+ */
+class EventBus extends EventEmitter {
+
+    /**
+     * @param {Object} options - Opções
+     * @param {number} options.bufferSize - Quantidade de eventos mantidos para reenvio
+     */
+    constructor({ bufferSize = DEFAULT_BUFFER_SIZE } = {}) {
+        super();
+        this.setMaxListeners(0);
+        this.bufferSize = bufferSize;
+        this.buffer = [];
+        this.lastId = 0;
+    }
+
+    /**
+     * Publicar um evento
+     * @param {string} type - Tipo do evento (ex.: status, qr, log, campaign-progress)
+     * @param {Object} data - Dados do evento
+     * @returns {Object} Evento publicado
+     */
+    publish(type, data = {}) {
+        const event = {
+            id: ++this.lastId,
+            type,
+            timestamp: new Date().toISOString(),
+            data
+        };
+
+        this.buffer.push(event);
+        if (this.buffer.length > this.bufferSize) {
+            this.buffer.shift();
+        }
+
+        this.emit('event', event);
+        return event;
+    }
+
+    /**
+     * Eventos publicados depois de um id
+     * @param {number} lastId - Último id recebido pelo cliente
+     * @returns {Array} Eventos ainda disponíveis no buffer
+     */
+    since(lastId) {
+        if (!Number.isInteger(lastId) || lastId >= this.lastId) return [];
+        return this.buffer.filter(event => event.id > lastId);
+    }
+
+    /**
+     * Receber os eventos publicados a partir de agora
+     * @param {Function} listener - Função chamada com cada evento
+     * @returns {Function} Função para cancelar a inscrição
+     */
+    subscribe(listener) {
+        this.on('event', listener);
+        return () => this.off('event', listener);
+    }
+}
+
+/**
+ * Formatar um evento no protocolo Server-Sent Events
+ * @param {Object} event - Evento publicado
+ * @returns {string} Bloco SSE
+ */
+function formatSSE(event) {
+    return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, timestamp: event.timestamp })}\n\n`;
+}
+
+module.exports = {
+    EventBus,
+    formatSSE
+};
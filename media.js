@@ -0,0 +1,150 @@
+const path = require('path');
+const { config } = require('./config');
+const Utils = require('./utils');
+
+/**
+ * Mídias anexadas às mensagens das campanhas
+ *
+ * Cada arquivo enviado é guardado como { type, path, mimetype, fileName, size }.
+ * O tipo é deduzido do mimetype; figurinhas (WEBP) precisam ser pedidas
+ * explicitamente, já que o mesmo arquivo também pode ser enviado como imagem.
+ * Áudios em OGG/Opus são enviados como mensagem de voz.
+ */
+const MEDIA_TYPES = {
+    image: {
+        label: 'Imagem',
+        mimetypes: /^image\/(jpeg|png|gif|webp)$/,
+        caption: true
+    },
+    video: {
+        label: 'Vídeo',
+        mimetypes: /^video\/(mp4|3gpp|quicktime)$/,
+        caption: true
+    },
+    audio: {
+        label: 'Áudio',
+        mimetypes: /^audio\/(mpeg|ogg|mp4|aac|amr|x-m4a|opus)$/,
+        caption: false
+    },
+    document: {
+        label: 'Documento',
+        mimetypes: /^(application\/[\w.+-]+|text\/(plain|csv))$/,
+        caption: true
+    },
+    sticker: {
+        label: 'Figurinha',
+        mimetypes: /^image\/webp$/,
+        caption: false
+    }
+};
+
+// Tipos deduzidos automaticamente, em ordem de prioridade
+const DETECTED_TYPES = ['image', 'video', 'audio', 'document'];
+
+/**
+ * Tamanho máximo de um tipo de mídia
+ * @param {string} type - Tipo da mídia
+ * @returns {number} Tamanho em bytes
+ */
+function mediaLimit(type) {
+    return type === 'image' ? config.upload.maxSize : config.upload.limits[type];
+}
+
+/**
+ * Maior tamanho aceito entre todos os tipos (limite do upload)
+ * @returns {number} Tamanho em bytes
+ */
+function maxUploadSize() {
+    return Math.max(...Object.keys(MEDIA_TYPES).map(mediaLimit));
+}
+
+/**
+ * Deduzir o tipo de mídia de um mimetype
+ * @param {string} mimetype - Mimetype do arquivo
+ * @returns {string|null} Tipo ou null se não for suportado
+ */
+function detectMediaType(mimetype) {
+    return DETECTED_TYPES.find(type => MEDIA_TYPES[type].mimetypes.test(mimetype)) || null;
+}
+
+/**
+ * Descrever um arquivo recebido pelo multer
+ * @param {Object} file - Arquivo do multer
+ * @param {string} requestedType - Tipo pedido no formulário (opcional)
+ * @returns {Object} Mídia { type, path, mimetype, fileName, size }
+ */
+function describeUpload(file, requestedType) {
+    return {
+        type: requestedType || detectMediaType(file.mimetype),
+        path: file.path,
+        mimetype: file.mimetype,
+        fileName: file.originalname || path.basename(file.path),
+        size: file.size
+    };
+}
+
+/**
+ * Validar uma mídia (tipo, formato e tamanho)
+ * @param {Object} media - Mídia
+ * @param {string} label - Prefixo das mensagens de erro
+ * @returns {Object} Resultado da validação
+ */
+function validateMedia(media, label = 'Arquivo') {
+    const errors = [];
+    const definition = MEDIA_TYPES[media.type];
+
+    if (!definition) {
+        errors.push(`${label}: tipo de mídia inválido (use ${Object.keys(MEDIA_TYPES).join(', ')})`);
+    } else if (!definition.mimetypes.test(media.mimetype)) {
+        errors.push(`${label}: formato ${media.mimetype} não pode ser enviado como ${definition.label.toLowerCase()}`);
+    } else if (media.size > mediaLimit(media.type)) {
+        errors.push(`${label}: ${definition.label.toLowerCase()} deve ter no máximo ${Utils.formatFileSize(mediaLimit(media.type))}`);
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Verificar se o tipo de mídia aceita legenda
+ * @param {string} type - Tipo da mídia
+ * @returns {boolean} Verdadeiro se o texto vai como legenda
+ */
+function supportsCaption(type) {
+    return Boolean(MEDIA_TYPES[type]?.caption);
+}
+
+/**
+ * Montar o conteúdo da mensagem no formato do Baileys
+ * @param {Object} media - Mídia
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @param {string} caption - Legenda (ignorada em áudios e figurinhas)
+ * @returns {Object} Conteúdo para sock.sendMessage
+ */
+function buildMessageContent(media, buffer, caption = '') {
+    switch (media.type) {
+        case 'video':
+            return { video: buffer, caption, mimetype: media.mimetype };
+        case 'document':
+            return { document: buffer, caption, mimetype: media.mimetype, fileName: media.fileName };
+        case 'audio':
+            return { audio: buffer, mimetype: media.mimetype, ptt: media.mimetype === 'audio/ogg' };
+        case 'sticker':
+            return { sticker: buffer };
+        default:
+            return { image: buffer, caption };
+    }
+}
+
+module.exports = {
+    MEDIA_TYPES,
+    mediaLimit,
+    maxUploadSize,
+    detectMediaType,
+    describeUpload,
+    validateMedia,
+    supportsCaption,
+    buildMessageContent
+};
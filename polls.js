@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+
+/**
+ * Enquetes das campanhas
+ *
+ * Uma campanha do tipo 'poll' envia uma enquete nativa do WhatsApp no lugar da
+ * mensagem principal: campaign.poll = { question, options, multiSelect }.
+ *
+ * Cada enquete enviada é registrada em 'polls' junto com a chave da enquete
+ * (messageSecret), que o Baileys pede via getMessage para decifrar os votos.
+ * Os votos chegam com o hash SHA-256 das opções escolhidas e são gravados em
+ * 'pollVotes'; o voto mais recente de cada participante substitui os anteriores.
+ */
+
+const CAMPAIGN_TYPES = ['message', 'poll'];
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 12;
+const MAX_QUESTION_LENGTH = 255;
+const MAX_OPTION_LENGTH = 100;
+
+/**
+ * Normalizar a enquete recebida no formulário
+ * @param {Object} poll - Enquete { question, options, multiSelect }
+ * @returns {Object} Enquete com textos sem espaços nas pontas
+ */
+function normalizePoll(poll) {
+    if (!poll || typeof poll !== 'object') return poll;
+
+    return {
+        question: typeof poll.question === 'string' ? poll.question.trim() : poll.question,
+        options: Array.isArray(poll.options)
+            ? poll.options.map(option => typeof option === 'string' ? option.trim() : option)
+            : poll.options,
+        multiSelect: Boolean(poll.multiSelect)
+    };
+}
+
+/**
+ * Validar uma enquete
+ * @param {Object} poll - Enquete
+ * @returns {Object} Resultado da validação
+ */
+function validatePoll(poll) {
+    const errors = [];
+
+    if (!poll || typeof poll !== 'object') {
+        return { valid: false, errors: ['Enquete é obrigatória em campanhas do tipo enquete'] };
+    }
+
+    if (typeof poll.question !== 'string' || poll.question.length === 0) {
+        errors.push('Enquete: pergunta é obrigatória');
+    } else if (poll.question.length > MAX_QUESTION_LENGTH) {
+        errors.push(`Enquete: pergunta deve ter no máximo ${MAX_QUESTION_LENGTH} caracteres`);
+    }
+
+    if (!Array.isArray(poll.options)) {
+        errors.push('Enquete: opções devem ser uma lista');
+    } else {
+        if (poll.options.length < MIN_POLL_OPTIONS || poll.options.length > MAX_POLL_OPTIONS) {
+            errors.push(`Enquete: use de ${MIN_POLL_OPTIONS} a ${MAX_POLL_OPTIONS} opções`);
+        }
+        poll.options.forEach((option, index) => {
+            if (typeof option !== 'string' || option.length === 0) {
+                errors.push(`Enquete: opção ${index + 1} está vazia`);
+            } else if (option.length > MAX_OPTION_LENGTH) {
+                errors.push(`Enquete: opção ${index + 1} deve ter no máximo ${MAX_OPTION_LENGTH} caracteres`);
+            } else if (poll.options.indexOf(option) !== index) {
+                errors.push(`Enquete: opção repetida "${option}"`);
+            }
+        });
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Montar o conteúdo da enquete no formato do Baileys
+ * @param {Object} poll - Enquete
+ * @param {string} question - Pergunta já com as variáveis substituídas
+ * @returns {Object} Conteúdo para sock.sendMessage
+ */
+function buildPollContent(poll, question) {
+    return {
+        poll: {
+            name: question,
+            values: poll.options,
+            // 0 permite escolher quantas opções quiser
+            selectableCount: poll.multiSelect ? 0 : 1
+        }
+    };
+}
+
+/**
+ * Registro de uma enquete enviada
+ * @param {Object} sent - Mensagem retornada por sendMessage
+ * @param {Object} poll - Enquete
+ * @param {string} question - Pergunta enviada
+ * @param {Object} context - { campaignId, executionId, groupId, session }
+ * @returns {Object} Entrada do registro 'polls'
+ */
+function pollRecord(sent, poll, question, context) {
+    const secret = sent?.message?.messageContextInfo?.messageSecret;
+
+    return {
+        timestamp: new Date().toISOString(),
+        ...context,
+        messageId: sent?.key?.id || null,
+        question,
+        options: poll.options,
+        multiSelect: poll.multiSelect,
+        messageSecret: secret ? Buffer.from(secret).toString('base64') : null
+    };
+}
+
+/**
+ * Mensagem de criação da enquete, no formato que o Baileys espera do getMessage
+ * @param {Object} record - Registro da enquete
+ * @returns {Object} Mensagem (proto.IMessage)
+ */
+function creationMessage(record) {
+    return {
+        pollCreationMessage: {
+            name: record.question,
+            options: record.options.map(optionName => ({ optionName })),
+            selectableOptionsCount: record.multiSelect ? 0 : 1
+        },
+        messageContextInfo: {
+            messageSecret: record.messageSecret ? Buffer.from(record.messageSecret, 'base64') : undefined
+        }
+    };
+}
+
+function optionHash(option) {
+    return crypto.createHash('sha256').update(Buffer.from(option)).digest('hex');
+}
+
+/**
+ * Traduzir os hashes de um voto para as opções da enquete
+ * @param {Object} record - Registro da enquete
+ * @param {Object} vote - Voto decifrado ({ selectedOptions: [hash] })
+ * @returns {Array} Opções escolhidas (vazio = voto retirado)
+ */
+function decodeVote(record, vote) {
+    const selected = new Set((vote?.selectedOptions || []).map(hash => Buffer.from(hash).toString('hex')));
+    return record.options.filter(option => selected.has(optionHash(option)));
+}
+
+/**
+ * Somar os votos de uma enquete
+ * @param {Array} options - Opções da enquete
+ * @param {Array} votes - Votos (mais recentes primeiro, como em store.query)
+ * @returns {Object} { totalVoters, options: [{ option, votes }] }
+ */
+function tallyVotes(options, votes) {
+    const latest = new Map();
+    for (const vote of votes) {
+        const voterKey = `${vote.messageId}:${vote.voter}`;
+        if (!latest.has(voterKey)) latest.set(voterKey, vote);
+    }
+
+    const counts = new Map(options.map(option => [option, 0]));
+    let totalVoters = 0;
+    for (const vote of latest.values()) {
+        if (vote.options.length === 0) continue;
+        totalVoters++;
+        vote.options.forEach(option => counts.set(option, (counts.get(option) || 0) + 1));
+    }
+
+    return {
+        totalVoters,
+        options: [...counts].map(([option, count]) => ({ option, votes: count }))
+    };
+}
+
+module.exports = {
+    CAMPAIGN_TYPES,
+    MAX_POLL_OPTIONS,
+    normalizePoll,
+    validatePoll,
+    buildPollContent,
+    pollRecord,
+    creationMessage,
+    decodeVote,
+    tallyVotes
+};
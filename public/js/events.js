@@ -0,0 +1,266 @@
+/**
+ * Cliente de eventos em tempo real (/api/events)
+ *
+ * Substitui a consulta periódica de /api/connection/status: o servidor envia
+ * status, QR Code, logs e o andamento das campanhas assim que acontecem. Ao
+ * perder a conexão, o EventSource reconecta sozinho enviando o último id
+ * recebido (Last-Event-ID) e o servidor reenvia o que foi perdido.
+ *
+ * Outros scripts podem ouvir os eventos com waEvents.on(tipo, callback).
+ *
+ * Cada execução em andamento mostra botões para pausar, retomar e cancelar
+ * (POST /api/executions/:id/pause|resume|cancel).
+ */
+(function () {
+    'use strict';
+
+    const STATUS_LABELS = {
+        connected: 'Conectado',
+        disconnected: 'Desconectado',
+        connecting: 'Conectando...',
+        qr_ready: 'Aguardando leitura do QR Code',
+        pairing_code_ready: 'Aguardando código de pareamento',
+        error: 'Erro na conexão'
+    };
+
+    const EVENT_TYPES = [
+        'snapshot', 'status', 'qr', 'pairing-code', 'log', 'reconnect',
+        'campaign-started', 'campaign-progress', 'campaign-finished', 'execution-status'
+    ];
+
+    const EXECUTION_CONTROLS = [
+        { action: 'pause', label: 'Pausar', className: 'btn-warning', statuses: ['running'] },
+        { action: 'resume', label: 'Retomar', className: 'btn-success', statuses: ['paused'] },
+        { action: 'cancel', label: 'Cancelar', className: 'btn-danger', statuses: ['running', 'paused'] }
+    ];
+
+    const MAX_LOG_LINES = 100;
+
+    class WAEvents {
+
+        constructor(session) {
+            this.session = session;
+            this.listeners = new Map();
+            this.source = null;
+        }
+
+        /**
+         * Registrar um callback para um tipo de evento
+         * @param {string} type - Tipo do evento
+         * @param {Function} callback - Recebe os dados do evento
+         * @returns {WAEvents} O próprio cliente
+         */
+        on(type, callback) {
+            if (!this.listeners.has(type)) this.listeners.set(type, []);
+            this.listeners.get(type).push(callback);
+            return this;
+        }
+
+        off(type, callback) {
+            const callbacks = this.listeners.get(type) || [];
+            this.listeners.set(type, callbacks.filter(fn => fn !== callback));
+            return this;
+        }
+
+        emit(type, data) {
+            (this.listeners.get(type) || []).forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Erro ao tratar evento ${type}:`, error);
+                }
+            });
+        }
+
+        connect() {
+            const url = '/api/events?session=' + encodeURIComponent(this.session);
+            this.source = new EventSource(url);
+
+            EVENT_TYPES.forEach(type => {
+                this.source.addEventListener(type, (message) => {
+                    this.emit(type, JSON.parse(message.data));
+                });
+            });
+
+            this.source.onopen = () => this.emit('open');
+            this.source.onerror = () => this.emit('error');
+        }
+
+        close() {
+            if (this.source) {
+                this.source.close();
+                this.source = null;
+            }
+        }
+    }
+
+    function renderStatus(status) {
+        const indicator = document.getElementById('connectionStatus');
+        if (!indicator) return;
+
+        indicator.className = `status-indicator status-${status}`;
+        indicator.querySelector('span').textContent = STATUS_LABELS[status] || status;
+
+        const qrContainer = document.getElementById('qrContainer');
+        if (qrContainer && status !== 'qr_ready') {
+            qrContainer.style.display = 'none';
+        }
+    }
+
+    function renderQrCode(qrCode) {
+        const qrContainer = document.getElementById('qrContainer');
+        const pairingContainer = document.getElementById('pairingContainer');
+        if (!qrContainer || !qrCode) return;
+
+        // Quem escolheu o código de pareamento não deve ver o QR por cima do formulário
+        if (pairingContainer && pairingContainer.style.display === 'block') return;
+
+        document.getElementById('qrCode').src = qrCode;
+        qrContainer.style.display = 'block';
+    }
+
+    function logEntry(log) {
+        const entry = document.createElement('div');
+        entry.className = 'log-entry';
+
+        const time = document.createElement('span');
+        time.className = 'log-time';
+        time.textContent = new Date(log.timestamp).toLocaleTimeString('pt-BR');
+
+        const message = document.createElement('span');
+        message.className = 'log-message';
+        message.textContent = log.message;
+
+        entry.append(time, message);
+        return entry;
+    }
+
+    function renderLogs(logs) {
+        const container = document.getElementById('connectionLogs');
+        if (!container) return;
+
+        container.replaceChildren(...logs.map(logEntry));
+    }
+
+    function appendLog(log) {
+        const container = document.getElementById('connectionLogs');
+        if (!container) return;
+
+        if (!container.querySelector('.log-entry')) container.replaceChildren();
+        container.prepend(logEntry(log));
+
+        while (container.children.length > MAX_LOG_LINES) {
+            container.lastElementChild.remove();
+        }
+    }
+
+    async function controlExecution(executionId, action) {
+        try {
+            const response = await fetch(`/api/executions/${encodeURIComponent(executionId)}/${action}`, { method: 'POST' });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error);
+        } catch (error) {
+            console.error(`Erro ao executar "${action}" na execução ${executionId}:`, error);
+        }
+    }
+
+    function executionRow(container, executionId) {
+        let row = container.querySelector(`[data-execution="${executionId}"]`);
+        if (row) return row;
+
+        row = document.createElement('div');
+        row.className = 'execution-progress';
+        row.dataset.execution = executionId;
+        row.dataset.status = 'running';
+        row.innerHTML = '<div class="execution-title"></div>' +
+            '<div class="progress-bar"><div class="progress-fill" style="width: 0%;"></div></div>' +
+            '<div class="execution-controls"></div>';
+
+        const controls = row.querySelector('.execution-controls');
+        EXECUTION_CONTROLS.forEach(({ action, label, className }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `btn btn-sm ${className}`;
+            button.dataset.action = action;
+            button.textContent = label;
+            button.addEventListener('click', () => {
+                button.disabled = true;
+                controlExecution(executionId, action).finally(() => { button.disabled = false; });
+            });
+            controls.appendChild(button);
+        });
+
+        container.prepend(row);
+        return row;
+    }
+
+    function renderControls(row, status) {
+        row.dataset.status = status;
+        row.querySelectorAll('.execution-controls button').forEach(button => {
+            const control = EXECUTION_CONTROLS.find(c => c.action === button.dataset.action);
+            button.style.display = control.statuses.includes(status) ? '' : 'none';
+        });
+    }
+
+    function renderExecutionStatus(data) {
+        const container = document.getElementById('campaignProgress');
+        if (!container) return;
+
+        const row = executionRow(container, data.executionId);
+        renderControls(row, data.status);
+        if (data.status === 'paused') {
+            const name = row.dataset.name || `Campanha ${data.campaignId}`;
+            row.querySelector('.execution-title').textContent = `${name}: pausada em ${data.position}/${data.total}`;
+        }
+    }
+
+    function renderProgress(data, finished) {
+        const container = document.getElementById('campaignProgress');
+        if (!container) return;
+
+        const row = executionRow(container, data.executionId);
+
+        const done = finished ? data.total : (data.position || 0);
+        const percent = data.total ? Math.round((done / data.total) * 100) : 100;
+        const title = row.querySelector('.execution-title');
+
+        if (data.campaignName) row.dataset.name = data.campaignName;
+        const name = row.dataset.name || `Campanha ${data.campaignId}`;
+
+        title.textContent = finished
+            ? `${name}: ${data.cancelled ? 'cancelada' : 'concluída'} - ${data.sent} enviados, ${data.failed} falharam` +
+                (data.skipped ? `, ${data.skipped} ignorados` : '')
+            : `${name}: ${done}/${data.total}${data.groupName ? ` - ${data.groupName} (${data.status})` : ''}`;
+        row.querySelector('.progress-fill').style.width = `${percent}%`;
+
+        if (finished) {
+            renderControls(row, data.cancelled ? 'cancelled' : 'finished');
+            setTimeout(() => row.remove(), 30000);
+        }
+    }
+
+    const session = new URLSearchParams(window.location.search).get('session') || 'default';
+    const waEvents = new WAEvents(session);
+
+    waEvents
+        .on('snapshot', (snapshot) => {
+            const current = snapshot.sessions.find(s => s.id === session);
+            if (current) {
+                renderStatus(current.status);
+                if (current.status === 'qr_ready') renderQrCode(current.qrCode);
+            }
+            renderLogs(snapshot.logs);
+        })
+        .on('status', (data) => renderStatus(data.status))
+        .on('qr', (data) => renderQrCode(data.qrCode))
+        .on('log', appendLog)
+        .on('campaign-started', (data) => renderProgress(data, false))
+        .on('campaign-progress', (data) => renderProgress(data, false))
+        .on('campaign-finished', (data) => renderProgress(data, true))
+        .on('execution-status', renderExecutionStatus);
+
+    window.WAEvents = WAEvents;
+    window.waEvents = waEvents;
+
+    document.addEventListener('DOMContentLoaded', () => waEvents.connect());
+})();
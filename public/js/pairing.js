@@ -0,0 +1,70 @@
+/**
+ * Login por código de pareamento
+ *
+ * Alterna entre QR Code e código de pareamento na aba Conexão e solicita o
+ * código ao servidor para o número informado.
+ */
+(function () {
+    'use strict';
+
+    // Sessão exibida no painel (?session= na URL; padrão: default)
+    function currentSession() {
+        return new URLSearchParams(window.location.search).get('session') || 'default';
+    }
+
+    function selectMethod(method) {
+        document.querySelectorAll('[data-login-method]').forEach(button => {
+            const active = button.dataset.loginMethod === method;
+            button.classList.toggle('btn-primary', active);
+            button.classList.toggle('btn-secondary', !active);
+        });
+
+        document.getElementById('pairingContainer').style.display = method === 'pairing_code' ? 'block' : 'none';
+
+        if (method === 'pairing_code') {
+            document.getElementById('qrContainer').style.display = 'none';
+        }
+    }
+
+    async function requestPairingCode(event) {
+        event.preventDefault();
+
+        const submit = document.getElementById('pairingSubmit');
+        const error = document.getElementById('pairingError');
+        const result = document.getElementById('pairingResult');
+
+        submit.disabled = true;
+        error.textContent = '';
+        result.style.display = 'none';
+
+        try {
+            const response = await fetch('/api/connection/pairing-code', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    session: currentSession(),
+                    phoneNumber: document.getElementById('pairingPhone').value
+                })
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.error || 'Não foi possível gerar o código');
+            }
+
+            document.getElementById('pairingCode').textContent = data.formattedCode;
+            result.style.display = 'block';
+        } catch (err) {
+            error.textContent = err.message;
+        } finally {
+            submit.disabled = false;
+        }
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document.querySelectorAll('[data-login-method]').forEach(button => {
+            button.addEventListener('click', () => selectMethod(button.dataset.loginMethod));
+        });
+        document.getElementById('pairingForm').addEventListener('submit', requestPairingCode);
+    });
+})();
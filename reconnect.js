@@ -0,0 +1,126 @@
+const { DisconnectReason } = require('@whiskeysockets/baileys');
+
+// Limite do intervalo entre tentativas, qualquer que seja o número de tentativas
+const MAX_RECONNECT_DELAY = 10 * 60 * 1000;
+
+// Variação aleatória aplicada ao intervalo (±20%) para que várias sessões não reconectem juntas
+const JITTER_RATIO = 0.2;
+
+/**
+ * O que fazer após cada motivo de desconexão
+ *   retry   - tentar de novo com backoff exponencial
+ *   restart - reconectar imediatamente, sem contar tentativa (ex.: logo após ler o QR)
+ *   reset   - apagar as credenciais salvas e reconectar para gerar novo QR Code
+ *   logout  - apagar as credenciais salvas e não reconectar
+ *   stop    - não reconectar (exige ação do usuário)
+ */
+const DISCONNECT_POLICIES = {
+    [DisconnectReason.restartRequired]: 'restart',
+    [DisconnectReason.badSession]: 'reset',
+    [DisconnectReason.multideviceMismatch]: 'reset',
+    [DisconnectReason.loggedOut]: 'logout',
+    [DisconnectReason.connectionReplaced]: 'stop',
+    [DisconnectReason.forbidden]: 'stop'
+};
+
+/**
+ * Controle de reconexão de uma sessão do WhatsApp
+ *
+ * Os limites são lidos a cada desconexão (getSettings), então alterações salvas
+ * nas configurações valem já na próxima tentativa, sem reiniciar o servidor.
+ */
+class ReconnectManager {
+
+    /**
+     * @param {Object} options - Opções
+     * @param {Function} options.getSettings - Função assíncrona que retorna { maxAttempts, baseDelay }
+     */
+    constructor({ getSettings }) {
+        this.getSettings = getSettings;
+        this.attempts = 0;
+        this.maxAttempts = null;
+        this.timer = null;
+        this.nextRetryAt = null;
+    }
+
+    /**
+     * Ação a tomar para um código de desconexão
+     * @param {number} statusCode - Código do DisconnectReason
+     * @returns {string} retry, restart, reset, logout ou stop
+     */
+    policyFor(statusCode) {
+        return DISCONNECT_POLICIES[statusCode] || 'retry';
+    }
+
+    /**
+     * Calcular o intervalo até a próxima tentativa
+     * @param {number} attempt - Número da tentativa (a partir de 1)
+     * @param {number} baseDelay - Intervalo da primeira tentativa em ms
+     * @returns {number} Intervalo em ms
+     */
+    delayFor(attempt, baseDelay) {
+        const exponential = Math.min(baseDelay * Math.pow(2, attempt - 1), Math.max(baseDelay, MAX_RECONNECT_DELAY));
+        const jitter = exponential * JITTER_RATIO * (Math.random() * 2 - 1);
+        return Math.round(exponential + jitter);
+    }
+
+    /**
+     * Agendar uma nova tentativa de conexão
+     * @param {Function} connect - Função que reconecta
+     * @param {Object} options - Opções
+     * @param {boolean} options.immediate - Reconectar já, sem contar tentativa
+     * @returns {Promise<Object|null>} { attempt, maxAttempts, delay } ou null se as tentativas acabaram
+     */
+    async schedule(connect, { immediate = false } = {}) {
+        this.cancel();
+
+        if (immediate) {
+            this.timer = setTimeout(() => this.fire(connect), 0);
+            return { attempt: this.attempts, maxAttempts: this.maxAttempts, delay: 0 };
+        }
+
+        const { maxAttempts, baseDelay } = await this.getSettings();
+        this.maxAttempts = maxAttempts;
+
+        if (this.attempts >= maxAttempts) {
+            return null;
+        }
+
+        this.attempts++;
+        const delay = this.delayFor(this.attempts, baseDelay);
+        this.nextRetryAt = new Date(Date.now() + delay).toISOString();
+        this.timer = setTimeout(() => this.fire(connect), delay);
+
+        return { attempt: this.attempts, maxAttempts, delay };
+    }
+
+    fire(connect) {
+        this.timer = null;
+        this.nextRetryAt = null;
+        connect();
+    }
+
+    /**
+     * Cancelar a tentativa agendada (mantém a contagem)
+     */
+    cancel() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.nextRetryAt = null;
+    }
+
+    /**
+     * Cancelar a tentativa agendada e zerar a contagem
+     */
+    reset() {
+        this.cancel();
+        this.attempts = 0;
+    }
+}
+
+module.exports = {
+    ReconnectManager,
+    DISCONNECT_POLICIES
+};
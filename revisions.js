@@ -0,0 +1,113 @@
+const Utils = require('./utils');
+
+/**
+ * Histórico de revisões das campanhas
+ *
+ * Cada criação, alteração, restauração ou cópia de uma campanha grava uma
+ * revisão no registro 'campaignRevisions' com o conteúdo completo da campanha:
+ *   { id, campaignId, revision, timestamp, editor, action, restoredFrom, duplicatedFrom, content }
+ * action: 'create', 'update', 'rollback', 'duplicate' ou 'initial' (campanhas
+ * anteriores ao histórico). campaign.revision é a revisão atual e cada execução
+ * guarda a revisão que usou (execution.revision).
+ *
+ * As mídias citadas nas revisões continuam no disco ao editar a campanha, para
+ * que uma revisão antiga possa ser restaurada; elas só são removidas junto com
+ * a campanha.
+ */
+
+// Campos da campanha guardados em cada revisão (status e estatísticas ficam de fora)
+const REVISION_FIELDS = [
+    'name',
+    'type',
+    'message',
+    'poll',
+    'mentionAll',
+    'variables',
+    'media',
+    'variants',
+    'variantMode',
+    'steps',
+    'onStepFailure',
+    'session',
+    'targetGroups',
+    'schedule',
+    'timezone',
+    'priority'
+];
+const REVISION_ACTIONS = ['initial', 'create', 'update', 'rollback', 'duplicate'];
+
+/**
+ * Conteúdo versionado de uma campanha
+ * @param {Object} campaign - Campanha
+ * @returns {Object} Cópia dos campos de REVISION_FIELDS
+ */
+function snapshot(campaign) {
+    return JSON.parse(JSON.stringify(
+        Object.fromEntries(REVISION_FIELDS.map(field => [field, campaign[field] ?? null]))
+    ));
+}
+
+/**
+ * Montar a revisão atual de uma campanha
+ * @param {Object} campaign - Campanha já com o número da revisão (campaign.revision)
+ * @param {Object} options - Opções
+ * @param {string} options.action - Origem da revisão (REVISION_ACTIONS)
+ * @param {string} options.editor - Quem fez a alteração
+ * @param {number} options.restoredFrom - Revisão restaurada (action 'rollback')
+ * @param {Object} options.duplicatedFrom - { campaignId, revision } copiados (action 'duplicate')
+ * @returns {Object} Revisão
+ */
+function createRevision(campaign, { action, editor = null, restoredFrom = null, duplicatedFrom = null }) {
+    if (!REVISION_ACTIONS.includes(action)) {
+        throw new Error(`Origem de revisão inválida: ${action}`);
+    }
+
+    return {
+        id: Utils.generateId(),
+        campaignId: campaign.id,
+        revision: campaign.revision,
+        timestamp: new Date().toISOString(),
+        editor,
+        action,
+        restoredFrom,
+        duplicatedFrom,
+        content: snapshot(campaign)
+    };
+}
+
+/**
+ * Diferenças entre dois conteúdos de campanha
+ *
+ * Em targetGroups, além dos valores, são listados os grupos incluídos e removidos.
+ * @param {Object|null} before - Conteúdo anterior (null = campanha nova)
+ * @param {Object} after - Conteúdo seguinte
+ * @returns {Array} Mudanças { field, before, after, added, removed }
+ */
+function diffContent(before, after) {
+    const changes = [];
+
+    for (const field of REVISION_FIELDS) {
+        const previous = before ? before[field] ?? null : null;
+        const current = after[field] ?? null;
+        if (JSON.stringify(previous) === JSON.stringify(current)) continue;
+
+        const change = { field, before: previous, after: current };
+        if (field === 'targetGroups') {
+            const previousGroups = previous || [];
+            const currentGroups = current || [];
+            change.added = currentGroups.filter(groupId => !previousGroups.includes(groupId));
+            change.removed = previousGroups.filter(groupId => !currentGroups.includes(groupId));
+        }
+        changes.push(change);
+    }
+
+    return changes;
+}
+
+module.exports = {
+    REVISION_FIELDS,
+    REVISION_ACTIONS,
+    snapshot,
+    createRevision,
+    diffContent
+};
@@ -0,0 +1,401 @@
+const { config } = require('./config');
+
+/**
+ * Agendamento das campanhas
+ *
+ * campaign.schedule:
+ *   { type: 'now' }
+ *   { type: 'once', datetime }
+ *   { type: 'recurring', frequency, ..., startDate, endDate }
+ *     daily   { time }
+ *     weekly  { time, daysOfWeek: [0-6] }
+ *     monthly { time, daysOfMonth: [1-31] } ou { time, weekOfMonth: 1-5 | 'last', dayOfWeek: 0-6 }
+ *     hourly  { everyHours, windowStart, windowEnd } - a cada N horas dentro da janela (padrão: o dia todo)
+ *     cron    { expression } - expressão de 5 campos: minuto hora dia mês dia-da-semana
+ *
+ * Todo agendamento recorrente vira uma expressão cron; o que o cron não
+ * expressa (ex.: "primeira segunda-feira do mês" e o período entre startDate e
+ * endDate, inclusive, no formato AAAA-MM-DD) é conferido por matchesDay.
+ *
+ * Os horários seguem o fuso IANA da campanha (campaign.timezone). Data e hora
+ * sem fuso, como as do formulário, são lidas nesse fuso. Na mudança de horário
+ * de verão, um horário que não existe é adiado pelo tamanho do salto e um
+ * horário que se repete é executado só na primeira vez.
+ *
+ * Cada campanha agendada é um ScheduledJob: um único timer armado para a
+ * próxima execução calculada por nextRuns, rearmado depois de cada disparo.
+ */
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'hourly', 'cron'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Data e hora sem fuso (AAAA-MM-DDTHH:MM[:SS])
+const LOCAL_DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?$/;
+
+// Até onde procurar a próxima execução (cobre 29/02 e outras datas raras)
+const MAX_SEARCH_DAYS = 366 * 8;
+
+// Campos da expressão cron: [nome, mínimo, máximo]
+const CRON_FIELDS = [
+    ['minuto', 0, 59],
+    ['hora', 0, 23],
+    ['dia', 1, 31],
+    ['mês', 1, 12],
+    ['dia da semana', 0, 7]
+];
+
+// Maior atraso aceito por setTimeout (~24,8 dias); esperas maiores são divididas
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Ler uma expressão cron de 5 campos (números, *, listas, intervalos e passos)
+ *
+ * Como no cron padrão, quando dia do mês e dia da semana são restritos (nenhum
+ * dos dois começa com *), basta um deles coincidir: "0 9 1 * 1" executa no
+ * dia 1 e em toda segunda-feira.
+ * @param {string} expression - Expressão cron
+ * @returns {Object} Conjuntos { minutes, hours, days, months, weekdays } e eitherDay
+ *   (verdadeiro se dia do mês e dia da semana valem como alternativas)
+ * @throws {Error} Se a expressão for inválida
+ */
+function parseCron(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== CRON_FIELDS.length) {
+        throw new Error(`Expressão cron deve ter ${CRON_FIELDS.length} campos (minuto hora dia mês dia-da-semana)`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, index) => {
+        const [name, min, max] = CRON_FIELDS[index];
+        const values = new Set();
+
+        for (const item of part.split(',')) {
+            const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(item);
+            if (!match) {
+                throw new Error(`Campo ${name} inválido na expressão cron: ${item}`);
+            }
+
+            const start = match[1] === '*' ? min : Number(match[2]);
+            const end = match[1] === '*' ? max : Number(match[3] ?? (match[4] ? max : match[2]));
+            const step = Number(match[4] || 1);
+            if (start < min || end > max || start > end || step < 1) {
+                throw new Error(`Campo ${name} fora do intervalo ${min}-${max}: ${item}`);
+            }
+
+            for (let value = start; value <= end; value += step) {
+                values.add(value);
+            }
+        }
+        return values;
+    });
+
+    // 7 também é domingo
+    if (weekdays.delete(7)) weekdays.add(0);
+
+    const eitherDay = !parts[2].startsWith('*') && !parts[4].startsWith('*');
+    return { minutes, hours, days, months, weekdays, eitherDay };
+}
+
+// Data local coincide com os campos de dia, mês e dia da semana da expressão
+function matchesCronDay(cron, wall) {
+    if (!cron.months.has(wall.month)) return false;
+    return cron.eitherDay
+        ? cron.days.has(wall.day) || cron.weekdays.has(wall.weekday)
+        : cron.days.has(wall.day) && cron.weekdays.has(wall.weekday);
+}
+
+/**
+ * Data e hora locais de um instante em um fuso
+ * @param {Date} date - Instante
+ * @param {string} timezone - Fuso horário IANA
+ * @returns {Object} { year, month, day, hour, minute, weekday }
+ */
+function wallClock(date, timezone) {
+    const parts = Object.fromEntries(
+        getFormatter(timezone).formatToParts(date).map(part => [part.type, part.value])
+    );
+
+    const wall = {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute)
+    };
+    wall.weekday = new Date(Date.UTC(wall.year, wall.month - 1, wall.day)).getUTCDay();
+    return wall;
+}
+
+const formatters = new Map();
+
+function getFormatter(timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric'
+        }));
+    }
+    return formatters.get(timezone);
+}
+
+/**
+ * Verificar se um fuso horário IANA é válido
+ * @param {string} timezone - Fuso horário (ex.: America/Sao_Paulo)
+ * @returns {boolean} Verdadeiro se o fuso é reconhecido
+ */
+function isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || timezone.length === 0) return false;
+
+    try {
+        getFormatter(timezone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Instante correspondente a uma data e hora locais de um fuso
+ *
+ * Horários que não existem (salto do horário de verão) são adiados pelo
+ * tamanho do salto; horários repetidos (fim do horário de verão) retornam a
+ * primeira ocorrência.
+ * @param {Object} wall - { year, month, day, hour, minute }
+ * @param {string} timezone - Fuso horário IANA
+ * @returns {Date} Instante
+ */
+function fromWallClock({ year, month, day, hour, minute }, timezone) {
+    const local = Date.UTC(year, month - 1, day, hour, minute);
+    const offsetAt = (time) => {
+        const wall = wallClock(new Date(time), timezone);
+        return Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute) - Math.floor(time / 60000) * 60000;
+    };
+
+    // Deslocamentos antes e depois de uma eventual mudança de horário no dia
+    const before = local - offsetAt(local - 12 * 3600000);
+    const after = local - offsetAt(local + 12 * 3600000);
+    const matches = [before, after].filter(time => {
+        const wall = wallClock(new Date(time), timezone);
+        return Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute) === local;
+    });
+
+    // Sem correspondência: o horário caiu no salto e é lido com o deslocamento anterior
+    return new Date(matches.length > 0 ? Math.min(...matches) : before);
+}
+
+/**
+ * Ler uma data e hora; sem fuso explícito, ela é lida no fuso informado
+ * @param {string} datetime - Data e hora (ISO 8601)
+ * @param {string} timezone - Fuso horário IANA
+ * @returns {Date} Instante (inválido se a data não puder ser lida)
+ */
+function parseDateTime(datetime, timezone = config.constants.DEFAULT_TIMEZONE) {
+    const match = LOCAL_DATETIME_PATTERN.exec(String(datetime || ''));
+    if (!match) return new Date(datetime);
+
+    const [year, month, day, hour, minute] = match.slice(1).map(Number);
+    return fromWallClock({ year, month, day, hour, minute }, timezone);
+}
+
+function parseTime(time) {
+    const [, hour, minute] = TIME_PATTERN.exec(time);
+    return { hour: Number(hour), minute: Number(minute) };
+}
+
+/**
+ * Expressão cron de um agendamento recorrente
+ * @param {Object} schedule - Agendamento
+ * @returns {string|null} Expressão ou null se não for recorrente
+ */
+function toCron(schedule) {
+    if (schedule.type !== 'recurring') return null;
+
+    switch (schedule.frequency) {
+        case 'cron':
+            return schedule.expression.trim();
+        case 'hourly': {
+            const start = parseTime(schedule.windowStart || '00:00');
+            const end = parseTime(schedule.windowEnd || '23:59');
+            const hours = [];
+            for (let hour = start.hour; hour * 60 + start.minute <= end.hour * 60 + end.minute; hour += schedule.everyHours) {
+                hours.push(hour);
+            }
+            return `${start.minute} ${hours.join(',')} * * *`;
+        }
+        default: {
+            const { hour, minute } = parseTime(schedule.time);
+            if (schedule.frequency === 'weekly') {
+                return `${minute} ${hour} * * ${schedule.daysOfWeek.join(',')}`;
+            }
+            if (schedule.frequency === 'monthly') {
+                return schedule.daysOfMonth?.length
+                    ? `${minute} ${hour} ${schedule.daysOfMonth.join(',')} * *`
+                    : `${minute} ${hour} * * ${schedule.dayOfWeek}`;
+            }
+            return `${minute} ${hour} * * *`;
+        }
+    }
+}
+
+function dateKey({ year, month, day }) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Regras que a expressão cron não cobre, conferidas na data local
+function matchesDay(schedule, wall) {
+    if (schedule.type !== 'recurring') return true;
+
+    const key = dateKey(wall);
+    if (schedule.startDate && key < schedule.startDate) return false;
+    if (schedule.endDate && key > schedule.endDate) return false;
+
+    if (schedule.frequency === 'monthly' && !schedule.daysOfMonth?.length) {
+        if (schedule.weekOfMonth === 'last') {
+            const daysInMonth = new Date(Date.UTC(wall.year, wall.month, 0)).getUTCDate();
+            return wall.day + 7 > daysInMonth;
+        }
+        return Math.ceil(wall.day / 7) === Number(schedule.weekOfMonth);
+    }
+    return true;
+}
+
+/**
+ * Calcular as próximas execuções de um agendamento
+ * @param {Object} schedule - Agendamento
+ * @param {Object} options - Opções
+ * @param {Date} options.from - Calcular a partir deste momento (padrão: agora)
+ * @param {number} options.count - Quantidade de execuções
+ * @param {string} options.timezone - Fuso horário da campanha
+ * @returns {Array<Date>} Próximas execuções, em ordem
+ */
+function nextRuns(schedule, { from = new Date(), count = 5, timezone = config.constants.DEFAULT_TIMEZONE } = {}) {
+    if (schedule?.type === 'once') {
+        const date = parseDateTime(schedule.datetime, timezone);
+        return date > from ? [date] : [];
+    }
+    if (schedule?.type !== 'recurring') return [];
+
+    const cron = parseCron(toCron(schedule));
+    const hours = [...cron.hours].sort((a, b) => a - b);
+    const minutes = [...cron.minutes].sort((a, b) => a - b);
+    const start = wallClock(from, timezone);
+    const runs = [];
+
+    for (let offset = 0; offset < MAX_SEARCH_DAYS && runs.length < count; offset++) {
+        const day = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+        const wall = {
+            year: day.getUTCFullYear(),
+            month: day.getUTCMonth() + 1,
+            day: day.getUTCDate(),
+            weekday: day.getUTCDay()
+        };
+
+        if (schedule.endDate && dateKey(wall) > schedule.endDate) break;
+        if (!matchesCronDay(cron, wall)) continue;
+        if (!matchesDay(schedule, wall)) continue;
+
+        for (const hour of hours) {
+            for (const minute of minutes) {
+                const run = fromWallClock({ ...wall, hour, minute }, timezone);
+                // Um horário adiado pelo horário de verão pode coincidir com o seguinte
+                const last = runs[runs.length - 1];
+                if (run > from && (!last || run > last) && runs.length < count) runs.push(run);
+            }
+        }
+    }
+
+    return runs;
+}
+
+/**
+ * Verificar se o agendamento não tem mais execuções
+ * @param {Object} schedule - Agendamento
+ * @param {Date} now - Momento de referência
+ * @param {string} timezone - Fuso horário da campanha
+ * @returns {boolean} Verdadeiro se não há próximas execuções
+ */
+function isFinished(schedule, now = new Date(), timezone = config.constants.DEFAULT_TIMEZONE) {
+    if (schedule?.type !== 'once' && schedule?.type !== 'recurring') return false;
+    return nextRuns(schedule, { from: now, count: 1, timezone }).length === 0;
+}
+
+/**
+ * Job de uma campanha agendada
+ *
+ * Mantém um único timer para a próxima execução; ao disparar, executa a
+ * tarefa e arma o timer de novo a partir do momento em que ela terminou.
+ * Quando não há próxima execução, o job fica parado.
+ */
+class ScheduledJob {
+    /**
+     * @param {Object} schedule - Agendamento
+     * @param {string} timezone - Fuso horário da campanha
+     * @param {Function} task - Tarefa assíncrona, recebe o horário previsto
+     */
+    constructor(schedule, timezone, task) {
+        this.schedule = schedule;
+        this.timezone = timezone;
+        this.task = task;
+        this.timer = null;
+        this.nextRun = null;
+        this.lastRun = null;
+        this.stopped = false;
+        this.arm();
+    }
+
+    arm() {
+        if (this.stopped) return;
+
+        // Nunca repetir o último disparo, mesmo se o relógio do sistema voltar
+        const now = new Date();
+        const from = this.lastRun && this.lastRun > now ? this.lastRun : now;
+        this.nextRun = nextRuns(this.schedule, { from, count: 1, timezone: this.timezone })[0] || null;
+        if (!this.nextRun) return;
+
+        const delay = Math.max(0, this.nextRun.getTime() - Date.now());
+        if (delay > MAX_TIMER_DELAY) {
+            this.timer = setTimeout(() => this.arm(), MAX_TIMER_DELAY);
+        } else {
+            this.timer = setTimeout(() => this.fire(this.nextRun), delay);
+        }
+    }
+
+    async fire(scheduledAt) {
+        this.timer = null;
+        this.lastRun = scheduledAt;
+        try {
+            await this.task(scheduledAt);
+        } finally {
+            this.arm();
+        }
+    }
+
+    /**
+     * Cancelar o timer pendente
+     */
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = {
+    FREQUENCIES,
+    TIME_PATTERN,
+    DATE_PATTERN,
+    parseCron,
+    wallClock,
+    isValidTimezone,
+    fromWallClock,
+    parseDateTime,
+    toCron,
+    nextRuns,
+    isFinished,
+    ScheduledJob
+};
@@ -0,0 +1,44 @@
+/**
+ * Classificação das falhas de envio
+ *
+ * Falhas temporárias (tempo esgotado, conexão perdida, limite de envio do
+ * WhatsApp) são tentadas de novo ao fim da execução ou depois da reconexão.
+ * Falhas permanentes (a conta saiu do grupo, o grupo não existe mais, só
+ * administradores podem enviar) não adiantam repetir.
+ *
+ * O Baileys usa erros do Boom: o código fica em error.output.statusCode e a
+ * resposta do servidor do WhatsApp, quando existe, na mensagem (ex.: 'item-not-found').
+ */
+
+// Regras em ordem: a primeira que combinar define a classificação
+const RULES = [
+    { type: 'permanent', reason: 'grupo não encontrado', codes: [404], pattern: /item-not-found|grupo não encontrado/i },
+    { type: 'permanent', reason: 'conta não participa do grupo', codes: [401], pattern: /not-authorized|not a participant|não participa/i },
+    { type: 'permanent', reason: 'somente administradores podem enviar', codes: [403], pattern: /forbidden|announcement|not-acceptable/i },
+    { type: 'permanent', reason: 'limite anti-spam do grupo', codes: [], pattern: /anti-spam/i },
+    { type: 'transient', reason: 'limite de envio do WhatsApp', codes: [429], pattern: /rate-overlimit|too many/i },
+    { type: 'transient', reason: 'tempo esgotado', codes: [408], pattern: /timed? ?out|ETIMEDOUT/i },
+    { type: 'transient', reason: 'conexão perdida', codes: [428, 440, 503, 515], pattern: /connection (closed|lost|failure)|não conectado|ECONNRESET|socket hang up|stream errored/i }
+];
+
+/**
+ * Classificar o erro de um envio
+ *
+ * Erros desconhecidos são tratados como temporários: o número de novas
+ * tentativas é limitado e o erro fica registrado em cada uma.
+ * @param {Error} error - Erro lançado pelo envio
+ * @returns {Object} { type: 'transient' | 'permanent', reason }
+ */
+function classifySendError(error) {
+    const code = error?.output?.statusCode ?? error?.data?.statusCode ?? null;
+    const message = String(error?.message || '');
+
+    const rule = RULES.find(r => r.codes.includes(code)) || RULES.find(r => r.pattern.test(message));
+    return rule
+        ? { type: rule.type, reason: rule.reason }
+        : { type: 'transient', reason: 'erro desconhecido' };
+}
+
+module.exports = {
+    classifySendError
+};
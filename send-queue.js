@@ -0,0 +1,393 @@
+const Utils = require('./utils');
+
+/**
+ * Fila persistente de envios das campanhas
+ *
+ * Cada execução de campanha tem um job por grupo:
+ *   { id, campaignId, campaignName, revision, session, status, createdAt, updatedAt, finishedAt, sequence, jobs }
+ *   job: { position, groupId, variant, state, step, steps, sentSteps, sendingStep, mediaSent, error, attempts, retryAt, updatedAt }
+ *
+ * revision é a revisão da campanha usada na execução.
+ * status da execução: 'running' até todos os jobs terminarem, depois 'finished'.
+ * Uma execução pode ser pausada ('paused') e retomada, ou cancelada
+ * ('cancelled'): os jobs ainda pendentes ficam como 'skipped'.
+ * state do job: 'pending' → 'sending' → 'sent' | 'failed' | 'skipped'. step é
+ * a próxima etapa da sequência a enviar e sendingStep a etapa entregue ao
+ * WhatsApp e ainda sem confirmação; mediaSent marca que a mídia dessa etapa
+ * (áudio ou figurinha, cujo texto vai numa segunda mensagem) já foi entregue.
+ * attempts guarda as falhas de envio do grupo com a classificação de cada uma
+ * ({ at, step, error, type, reason }); após uma falha temporária o job volta a
+ * 'pending' para uma nova tentativa, que só acontece a partir de retryAt.
+ *
+ * Gravação: 'executions' guarda só as execuções em aberto (rodando ou
+ * pausadas), que também ficam em memória. Cada mudança de job é acrescentada
+ * ao registro 'jobUpdates' com um número de sequência da execução, sem
+ * reescrever o documento; o documento é regravado apenas ao criar, mudar o
+ * status ou encerrar uma execução, e sequence indica até qual mudança ele já
+ * inclui. Ao iniciar, as mudanças posteriores são reaplicadas. Execuções
+ * encerradas saem do documento e vão para o registro 'executionHistory'.
+ *
+ * Toda mudança é gravada antes do passo seguinte, então uma execução
+ * interrompida continua do ponto em que parou. Se o processo parar com uma
+ * etapa em andamento, reconcile() procura a confirmação no histórico de
+ * entregas; sem ela o job é marcado como falho em vez de reenviado, para que
+ * nenhum grupo receba a mesma mensagem duas vezes.
+ */
+
+const JOB_STATES = ['pending', 'sending', 'sent', 'failed', 'skipped'];
+const EXECUTION_STATUSES = ['running', 'paused', 'finished', 'cancelled'];
+
+// Execuções encerradas listadas por list() (o histórico completo fica em 'executionHistory')
+const MAX_LISTED_FINISHED = 50;
+
+class SendQueue {
+
+    /**
+     * @param {Object} store - Driver de armazenamento
+     */
+    constructor(store) {
+        this.store = store;
+        this.open = new Map();
+        this.loading = null;
+    }
+
+    /**
+     * Carregar as execuções em aberto (uma vez)
+     * @returns {Promise<void>}
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = this.restore().catch(error => {
+                this.loading = null;
+                throw error;
+            });
+        }
+        return this.loading;
+    }
+
+    /**
+     * Ler o documento de execuções, reaplicar as mudanças de jobs posteriores a
+     * ele e mover para o histórico as execuções já encerradas
+     * @returns {Promise<void>}
+     */
+    async restore() {
+        const executions = await this.store.read('executions');
+        let moved = false;
+
+        for (const execution of executions) {
+            if (!isOpen(execution)) {
+                // Documento de versões anteriores, com as execuções encerradas
+                const { total } = await this.store.query('executionHistory', { where: { id: execution.id }, limit: 0 });
+                if (total === 0) await this.store.append('executionHistory', historyEntry(execution));
+                moved = true;
+                continue;
+            }
+
+            const { items } = await this.store.query('jobUpdates', { where: { executionId: execution.id }, limit: Infinity });
+            const updates = items
+                .filter(update => update.sequence > (execution.sequence || 0))
+                .sort((a, b) => a.sequence - b.sequence);
+            for (const update of updates) {
+                applyJobChanges(execution, update.position, update.changes, update.timestamp);
+                execution.sequence = update.sequence;
+            }
+            this.open.set(execution.id, execution);
+        }
+
+        if (moved) await this.save();
+    }
+
+    /**
+     * Regravar o documento com as execuções em aberto, como estão em memória
+     * @returns {Promise<void>}
+     */
+    save() {
+        return this.store.update('executions', (executions) => {
+            executions.splice(0, executions.length, ...[...this.open.values()].map(copy));
+        });
+    }
+
+    /**
+     * Criar a execução de uma campanha com um job pendente por grupo
+     * @param {Object} campaign - Campanha
+     * @param {Object} options - Opções
+     * @param {string} options.session - Sessão do WhatsApp usada nos envios
+     * @param {Function} options.variantFor - Índice da variação do grupo na posição informada
+     * @returns {Promise<Object>} Execução criada
+     */
+    async create(campaign, { session, variantFor = () => 0 }) {
+        await this.load();
+
+        const now = new Date().toISOString();
+        const execution = {
+            id: Utils.generateId(),
+            campaignId: campaign.id,
+            campaignName: campaign.name,
+            revision: campaign.revision ?? null,
+            session,
+            status: 'running',
+            createdAt: now,
+            updatedAt: now,
+            finishedAt: null,
+            sequence: 0,
+            jobs: campaign.targetGroups.map((groupId, index) => ({
+                position: index + 1,
+                groupId,
+                variant: variantFor(index),
+                state: 'pending',
+                step: 0,
+                steps: null,
+                sentSteps: 0,
+                sendingStep: null,
+                mediaSent: false,
+                error: null,
+                attempts: [],
+                retryAt: null,
+                updatedAt: null
+            }))
+        };
+
+        this.open.set(execution.id, execution);
+        await this.save();
+        return copy(execution);
+    }
+
+    /**
+     * Obter uma execução
+     * @param {string} id - Id da execução
+     * @returns {Promise<Object|null>} Execução ou null
+     */
+    async get(id) {
+        await this.load();
+        if (this.open.has(id)) return copy(this.open.get(id));
+
+        const { items } = await this.store.query('executionHistory', { where: { id }, limit: 1 });
+        return items[0] || null;
+    }
+
+    /**
+     * Status atual de uma execução (sem copiar os jobs)
+     * @param {string} id - Id da execução
+     * @returns {Promise<string|null>} Status ou null se não existir
+     */
+    async status(id) {
+        await this.load();
+        if (this.open.has(id)) return this.open.get(id).status;
+
+        const execution = await this.get(id);
+        return execution ? execution.status : null;
+    }
+
+    /**
+     * Listar execuções, mais recentes primeiro
+     *
+     * Além das execuções em aberto, lista as MAX_LISTED_FINISHED encerradas mais recentes.
+     * @param {Object} filter - Filtros
+     * @param {string} filter.status - Status da execução
+     * @param {string} filter.campaignId - Campanha
+     * @param {string} filter.session - Sessão
+     * @returns {Promise<Array>} Execuções
+     */
+    async list({ status, campaignId, session } = {}) {
+        await this.load();
+
+        const matches = (execution) => (!status || execution.status === status)
+            && (!campaignId || execution.campaignId === campaignId)
+            && (!session || execution.session === session);
+
+        const open = [...this.open.values()].filter(matches).reverse().map(copy);
+        if (status === 'running' || status === 'paused') return open;
+
+        const where = {};
+        if (status) where.status = status;
+        if (campaignId) where.campaignId = campaignId;
+        if (session) where.session = session;
+        const { items } = await this.store.query('executionHistory', { where, limit: MAX_LISTED_FINISHED });
+        return [...open, ...items];
+    }
+
+    /**
+     * Gravar mudanças em um job
+     * @param {string} executionId - Id da execução
+     * @param {number} position - Posição do job (1 = primeiro grupo)
+     * @param {Object} changes - Campos alterados
+     * @returns {Promise<Object>} Job atualizado
+     * @throws {Error} Se a execução em aberto ou o job não existir
+     */
+    async updateJob(executionId, position, changes) {
+        if (changes.state !== undefined && !JOB_STATES.includes(changes.state)) {
+            throw new Error(`Estado de envio inválido: ${changes.state}`);
+        }
+
+        await this.load();
+        const execution = this.open.get(executionId);
+        if (!execution?.jobs[position - 1]) {
+            throw new Error(`Envio ${position} da execução ${executionId} não encontrado`);
+        }
+
+        const timestamp = new Date().toISOString();
+        const job = applyJobChanges(execution, position, changes, timestamp);
+        execution.sequence = (execution.sequence || 0) + 1;
+
+        await this.store.append('jobUpdates', { timestamp, executionId, sequence: execution.sequence, position, changes });
+        return { ...job };
+    }
+
+    /**
+     * Mudar o status de uma execução
+     *
+     * Ao cancelar, os jobs pendentes passam a 'skipped'; o job em andamento
+     * é encerrado por quem o está enviando.
+     * @param {string} executionId - Id da execução
+     * @param {string} status - Novo status
+     * @param {Array} from - Status atuais a partir dos quais a mudança é permitida
+     * @returns {Promise<Object|null>} { previous, changed, execution, skipped } ou null se não existir
+     */
+    async setStatus(executionId, status, from) {
+        await this.load();
+        const execution = this.open.get(executionId);
+        if (!execution) {
+            const finished = await this.get(executionId);
+            return finished ? { previous: finished.status, changed: false, execution: finished, skipped: [] } : null;
+        }
+
+        const previous = execution.status;
+        if (!from.includes(previous)) {
+            return { previous, changed: false, execution: copy(execution), skipped: [] };
+        }
+
+        const now = new Date().toISOString();
+        const skipped = [];
+        execution.status = status;
+        execution.updatedAt = now;
+
+        if (status === 'cancelled') {
+            for (const job of execution.jobs.filter(j => j.state === 'pending')) {
+                Object.assign(job, { state: 'skipped', error: 'Execução cancelada', retryAt: null, updatedAt: now });
+                skipped.push({ ...job });
+            }
+        }
+
+        await this.save();
+        return { previous, changed: true, execution: copy(execution), skipped };
+    }
+
+    /**
+     * Encerrar uma execução e movê-la para o histórico
+     * @param {string} executionId - Id da execução
+     * @returns {Promise<Object|null>} Execução com o total de grupos enviados e com falha
+     */
+    async finish(executionId) {
+        await this.load();
+        const execution = this.open.get(executionId);
+        if (!execution) return null;
+
+        const now = new Date().toISOString();
+        if (execution.status !== 'cancelled') execution.status = 'finished';
+        execution.finishedAt = now;
+        execution.updatedAt = now;
+
+        // Primeiro no histórico: se o processo parar entre as duas gravações, restore() completa a mudança
+        await this.store.append('executionHistory', historyEntry(execution));
+        this.open.delete(executionId);
+        await this.save();
+
+        return { ...copy(execution), ...summarize(execution) };
+    }
+
+    /**
+     * Resolver os jobs que estavam em andamento quando o processo parou
+     *
+     * Sem etapa em andamento, o job volta a 'pending' e continua da etapa
+     * seguinte. Com etapa em andamento, confirmStep decide se ela foi entregue.
+     * @param {Function} confirmStep - async (execution, job) => true se a etapa sendingStep foi entregue
+     * @returns {Promise<Array>} Jobs resolvidos { executionId, position, groupId, state, error }
+     */
+    async reconcile(confirmStep) {
+        await this.load();
+        const resolved = [];
+        const now = new Date().toISOString();
+
+        for (const execution of this.open.values()) {
+            for (const job of execution.jobs.filter(j => j.state === 'sending')) {
+                if (job.sendingStep === null) {
+                    job.state = 'pending';
+                } else if (await confirmStep(copy(execution), { ...job })) {
+                    job.step = job.sendingStep + 1;
+                    job.sentSteps++;
+                    job.state = job.steps !== null && job.step >= job.steps
+                        ? (job.sentSteps === job.steps ? 'sent' : 'failed')
+                        : 'pending';
+                } else {
+                    job.state = 'failed';
+                    job.error = `Envio interrompido na etapa ${job.sendingStep + 1}; a mensagem pode ter sido entregue e não será reenviada`;
+                }
+
+                job.sendingStep = null;
+                job.updatedAt = now;
+                execution.updatedAt = now;
+                resolved.push({
+                    executionId: execution.id,
+                    position: job.position,
+                    groupId: job.groupId,
+                    state: job.state,
+                    error: job.error
+                });
+            }
+        }
+
+        if (resolved.length > 0) await this.save();
+        return resolved;
+    }
+}
+
+// Execução que ainda tem envios a fazer (rodando ou pausada)
+function isOpen(execution) {
+    return execution.status === 'running' || execution.status === 'paused';
+}
+
+// Aplicar as mudanças de um job na execução em memória
+function applyJobChanges(execution, position, changes, timestamp) {
+    const job = execution.jobs[position - 1];
+    Object.assign(job, changes, { updatedAt: timestamp });
+    execution.updatedAt = timestamp;
+    return job;
+}
+
+// Entrada do histórico: a execução encerrada com o horário em que terminou
+function historyEntry(execution) {
+    const { sequence, ...finished } = copy(execution);
+    return { ...finished, timestamp: execution.finishedAt || execution.updatedAt };
+}
+
+// Cópia independente da execução guardada em memória
+function copy(execution) {
+    return JSON.parse(JSON.stringify(execution));
+}
+
+/**
+ * Contagem dos jobs de uma execução
+ * @param {Object} execution - Execução
+ * @returns {Object} { total, position, pending, sent, failed, skipped }
+ */
+function summarize(execution) {
+    const count = (state) => execution.jobs.filter(job => job.state === state).length;
+    const pending = count('pending') + count('sending');
+    return {
+        total: execution.jobs.length,
+        // Grupos já processados
+        position: execution.jobs.length - pending,
+        pending,
+        sent: count('sent'),
+        failed: count('failed'),
+        skipped: count('skipped')
+    };
+}
+
+module.exports = {
+    JOB_STATES,
+    EXECUTION_STATUSES,
+    SendQueue,
+    isOpen,
+    summarize
+};
@@ -2,10 +2,22 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
-const { makeWASocket, DisconnectReason, useMultiFileAuthState, Browsers } = require('@whiskeysockets/baileys');
-const { Boom } = require('@hapi/boom');
-const cron = require('node-cron');
-const QRCode = require('qrcode');
+const { config } = require('./config');
+const Utils = require('./utils');
+const { createStorage, runMigrations } = require('./storage');
+const { SessionManager, DEFAULT_SESSION_ID } = require('./sessions');
+const { EventBus, formatSSE } = require('./events');
+const { createTransport } = require('./transport');
+const templates = require('./templates');
+const variants = require('./variants');
+const steps = require('./steps');
+const media = require('./media');
+const polls = require('./polls');
+const schedules = require('./schedule');
+const revisions = require('./revisions');
+const { SendQueue, EXECUTION_STATUSES, summarize } = require('./send-queue');
+const { Dispatcher, PRIORITIES, DEFAULT_PRIORITY } = require('./dispatcher');
+const { classifySendError } = require('./send-errors');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -16,7 +28,7 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(express.static('public'));
 app.use('/uploads', express.static('uploads'));
 
-// Configuração do multer para upload de imagens
+// Configuração do multer para upload de mídias
 const storage = multer.diskStorage({
     destination: async (req, file, cb) => {
         const uploadDir = 'uploads';
@@ -29,156 +41,251 @@ const storage = multer.diskStorage({
     },
     filename: (req, file, cb) => {
         const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, 'image-' + uniqueSuffix + path.extname(file.originalname));
+        cb(null, 'media-' + uniqueSuffix + path.extname(file.originalname));
     }
 });
 
 const upload = multer({ 
     storage,
     fileFilter: (req, file, cb) => {
-        if (file.mimetype.startsWith('image/')) {
+        if (media.detectMediaType(file.mimetype)) {
             cb(null, true);
         } else {
-            cb(new Error('Apenas imagens são permitidas!'), false);
+            cb(new Error(`Tipo de arquivo não suportado: ${file.mimetype}`), false);
         }
     },
-    limits: { fileSize: 5 * 1024 * 1024 } // 5MB
+    // O limite de cada tipo é conferido depois, na validação da campanha
+    limits: { fileSize: media.maxUploadSize() }
 });
 
-// Variáveis globais
-let sock;
-let qrCodeData = '';
-let connectionStatus = 'disconnected';
-let connectionLogs = [];
-let scheduledJobs = new Map();
-let antiSpamControl = new Map();
-let reconnectAttempts = 0;
-const maxReconnectAttempts = 5;
-
-// Estrutura de dados
-const DATA_FILES = {
-    campaigns: 'data/campaigns.json',
-    groups: 'data/groups.json',
-    statistics: 'data/statistics.json',
-    settings: 'data/settings.json'
-};
+// Campos do formulário de campanha enviados como JSON
+const CAMPAIGN_JSON_FIELDS = ['targetGroups', 'schedule', 'variables', 'variants', 'steps', 'poll'];
+
+// Mídia principal da campanha (image é aceito pelo nome antigo) e mídias das variações e das etapas
+const campaignFields = upload.fields([
+    { name: 'media', maxCount: 1 },
+    { name: 'image', maxCount: 1 },
+    { name: 'variantMedia', maxCount: variants.MAX_VARIANTS },
+    { name: 'stepMedia', maxCount: steps.MAX_STEPS }
+]);
+
+function campaignUpload(req, res, next) {
+    campaignFields(req, res, (error) => {
+        if (error) {
+            return res.status(400).json({ error: error.message });
+        }
 
-// Inicializar estrutura de dados
-async function initializeDataStructure() {
-    try {
-        await fs.access('data');
-    } catch {
-        await fs.mkdir('data', { recursive: true });
-    }
+        // Arquivos de uma requisição recusada ou com erro não ficam no disco
+        res.on('finish', () => {
+            if (res.statusCode >= 400) {
+                removeFiles(Object.values(req.files || {}).flat().map(file => file.path));
+            }
+        });
 
-    for (const [key, filePath] of Object.entries(DATA_FILES)) {
-        try {
-            await fs.access(filePath);
-        } catch {
-            let initialData;
-            switch (key) {
-                case 'campaigns':
-                    initialData = [];
-                    break;
-                case 'groups':
-                    initialData = [];
-                    break;
-                case 'statistics':
-                    initialData = {
-                        totalSent: 0,
-                        totalFailed: 0,
-                        totalGroups: 0,
-                        campaignsCreated: 0,
-                        dailyStats: {}
-                    };
-                    break;
-                case 'settings':
-                    initialData = {
-                        antiSpam: {
-                            enabled: true,
-                            intervalMinutes: 30,
-                            maxMessagesPerGroup: 10
-                        },
-                        security: {
-                            maxReconnectAttempts: 5,
-                            reconnectDelay: 30000
-                        }
-                    };
-                    break;
+        for (const field of CAMPAIGN_JSON_FIELDS) {
+            if (!req.body[field]) continue;
+            try {
+                JSON.parse(req.body[field]);
+            } catch {
+                return res.status(400).json({ error: `JSON inválido no campo "${field}"` });
             }
-            await fs.writeFile(filePath, JSON.stringify(initialData, null, 2));
         }
-    }
+        next();
+    });
 }
 
-// Funções de dados
-async function readData(key) {
+// Variáveis globais
+let connectionLogs = [];
+let scheduledJobs = new Map();
+let antiSpamControl = new Map();
+
+// Armazenamento de dados
+const store = createStorage({
+    driver: config.database.driver,
+    sqliteFile: config.database.sqliteFile
+});
+
+// Limites de reconexão: configurações salvas pelo usuário, com config.whatsapp como padrão
+async function getReconnectSettings() {
+    let security = {};
     try {
-        const data = await fs.readFile(DATA_FILES[key], 'utf8');
-        return JSON.parse(data);
+        security = (await store.read('settings')).security || {};
     } catch (error) {
-        console.error(`Erro ao ler ${key}:`, error);
-        switch (key) {
-            case 'statistics':
-                return { totalSent: 0, totalFailed: 0, totalGroups: 0, campaignsCreated: 0, dailyStats: {} };
-            default:
-                return [];
-        }
+        console.error('Erro ao ler configurações de reconexão:', error);
     }
+
+    return {
+        maxAttempts: security.maxReconnectAttempts || config.whatsapp.maxReconnectAttempts,
+        baseDelay: security.reconnectDelay || config.whatsapp.reconnectDelay
+    };
 }
 
-async function writeData(key, data) {
-    try {
-        await fs.writeFile(DATA_FILES[key], JSON.stringify(data, null, 2));
-        return true;
-    } catch (error) {
-        console.error(`Erro ao salvar ${key}:`, error);
-        return false;
+// Transporte do WhatsApp: Baileys ou simulado (MOCK_WHATSAPP=true) para desenvolvimento sem celular
+const transport = createTransport({
+    mock: config.development.mockWhatsApp,
+    mockOptions: config.development.mock
+});
+
+// Sessões do WhatsApp (uma por conta)
+const sessions = new SessionManager({
+    store,
+    authRoot: 'auth_info',
+    reconnectSettings: getReconnectSettings,
+    transport,
+    getMessage: findSentMessage
+});
+
+// Eventos em tempo real enviados ao painel via /api/events
+const events = new EventBus();
+
+// Fila persistente dos envios das campanhas
+const sendQueue = new SendQueue(store);
+
+// Todas as execuções passam pelo despachante (limite de execuções simultâneas,
+// intervalo mínimo entre envios e prioridade entre campanhas)
+const dispatcher = new Dispatcher({
+    maxConcurrent: config.campaigns.maxConcurrentExecution,
+    minGap: config.campaigns.minSendGap,
+    run: (executionId) => runExecution(executionId)
+});
+// Execuções fora do despachante esperando a próxima nova tentativa (executionId → timer)
+const retryTimers = new Map();
+
+// Inicializar estrutura de dados
+async function initializeDataStructure() {
+    await store.init();
+
+    const applied = await runMigrations(store, { backupDir: 'backups' });
+    if (applied.length > 0) {
+        console.log(`${applied.length} migração(ões) de dados aplicada(s)`);
     }
 }
 
 // Função para atualizar estatísticas
 async function updateStatistics(type, count = 1) {
     try {
-        const stats = await readData('statistics');
         const today = new Date().toISOString().split('T')[0];
-        
-        if (!stats.dailyStats[today]) {
-            stats.dailyStats[today] = { sent: 0, failed: 0, groups: 0 };
-        }
-        
+        // Somar zero aos demais contadores mantém os três campos em todo dia
+        const daily = (values) => ({ sent: 0, failed: 0, groups: 0, ...values });
+
         switch (type) {
             case 'sent':
-                stats.totalSent += count;
-                stats.dailyStats[today].sent += count;
+                await store.increment('statistics', { totals: { totalSent: count }, day: today, daily: daily({ sent: count }) });
                 break;
             case 'failed':
-                stats.totalFailed += count;
-                stats.dailyStats[today].failed += count;
-                break;
-            case 'groups':
-                stats.totalGroups = count;
-                stats.dailyStats[today].groups = count;
+                await store.increment('statistics', { totals: { totalFailed: count }, day: today, daily: daily({ failed: count }) });
                 break;
             case 'campaign':
-                stats.campaignsCreated += count;
+                await store.increment('statistics', { totals: { campaignsCreated: count } });
+                break;
+            case 'groups':
+                // Total de grupos é substituído, não somado
+                await store.update('statistics', (stats) => {
+                    if (!stats.dailyStats[today]) {
+                        stats.dailyStats[today] = { sent: 0, failed: 0, groups: 0 };
+                    }
+                    stats.totalGroups = count;
+                    stats.dailyStats[today].groups = count;
+                });
                 break;
         }
-        
-        await writeData('statistics', stats);
     } catch (error) {
         console.error('Erro ao atualizar estatísticas:', error);
     }
 }
 
-// Função anti-spam
-async function checkAntiSpam(groupId) {
+// Registrar tentativa de envio no histórico de entregas
+async function recordDelivery(entry) {
+    const delivery = {
+        id: Utils.generateId(),
+        timestamp: new Date().toISOString(),
+        messageKey: null,
+        error: null,
+        ...entry
+    };
+
+    try {
+        await store.append('deliveries', delivery);
+    } catch (error) {
+        console.error('Erro ao registrar entrega:', error);
+    }
+    return delivery;
+}
+
+// Enquetes enviadas, em memória para as consultas do getMessage
+const pollRecords = new Map();
+
+// Registrar uma enquete enviada (com a chave usada para decifrar os votos)
+async function recordPoll(sent, poll, question, context) {
+    const record = polls.pollRecord(sent, poll, question, context);
+    try {
+        await store.append('polls', record);
+        pollRecords.set(record.messageId, record);
+    } catch (error) {
+        console.error('Erro ao registrar enquete:', error);
+    }
+    return record;
+}
+
+async function findPollRecord(messageId) {
+    if (!messageId) return null;
+    if (!pollRecords.has(messageId)) {
+        const { items } = await store.query('polls', { where: { messageId }, limit: 1 });
+        if (items.length === 0) return null;
+        pollRecords.set(messageId, items[0]);
+    }
+    return pollRecords.get(messageId);
+}
+
+// Mensagem enviada, pedida pelo Baileys para decifrar os votos das enquetes
+async function findSentMessage(key) {
+    try {
+        const record = await findPollRecord(key?.id);
+        return record ? polls.creationMessage(record) : undefined;
+    } catch (error) {
+        console.error('Erro ao buscar mensagem enviada:', error);
+        return undefined;
+    }
+}
+
+// Registrar os votos recebidos em uma enquete enviada por uma campanha
+async function recordPollVotes(session, key, pollUpdates) {
+    try {
+        const record = await findPollRecord(key.id);
+        if (!record) return;
+
+        for (const update of pollUpdates) {
+            const voterKey = update.pollUpdateMessageKey || {};
+            const vote = {
+                timestamp: new Date().toISOString(),
+                campaignId: record.campaignId,
+                executionId: record.executionId,
+                groupId: record.groupId,
+                session: session.id,
+                messageId: record.messageId,
+                voter: voterKey.participant || voterKey.remoteJid || null,
+                options: polls.decodeVote(record, update.vote),
+                votedAt: update.senderTimestampMs ? new Date(Number(update.senderTimestampMs)).toISOString() : null
+            };
+
+            await store.append('pollVotes', vote);
+            events.publish('poll-vote', vote);
+        }
+    } catch (error) {
+        console.error('Erro ao registrar voto de enquete:', error);
+    }
+}
+
+// Função anti-spam (controle por conta e grupo)
+// Com dryRun, só verifica se o envio no momento at seria permitido, sem contá-lo
+async function checkAntiSpam(sessionId, groupId, { dryRun = false, at = Date.now() } = {}) {
     try {
-        const settings = await readData('settings');
+        const settings = await store.read('settings');
         if (!settings.antiSpam.enabled) return true;
         
-        const now = Date.now();
-        const groupSpamData = antiSpamControl.get(groupId) || { count: 0, lastReset: now };
+        const now = at;
+        const controlKey = `${sessionId}:${groupId}`;
+        const groupSpamData = { ...(antiSpamControl.get(controlKey) || { count: 0, lastReset: now }) };
         
         // Reset contador se passou o intervalo
         if (now - groupSpamData.lastReset > settings.antiSpam.intervalMinutes * 60 * 1000) {
@@ -189,9 +296,10 @@ async function checkAntiSpam(groupId) {
         if (groupSpamData.count >= settings.antiSpam.maxMessagesPerGroup) {
             return false;
         }
+        if (dryRun) return true;
         
         groupSpamData.count++;
-        antiSpamControl.set(groupId, groupSpamData);
+        antiSpamControl.set(controlKey, groupSpamData);
         return true;
     } catch (error) {
         console.error('Erro no anti-spam:', error);
@@ -199,209 +307,154 @@ async function checkAntiSpam(groupId) {
     }
 }
 
-// Função para conectar ao WhatsApp
-async function connectToWhatsApp() {
-    try {
-        addConnectionLog('Iniciando conexão com WhatsApp...');
-        connectionStatus = 'connecting';
-        
-        const { state, saveCreds } = await useMultiFileAuthState('auth_info');
-        
-        sock = makeWASocket({
-            auth: state,
-            printQRInTerminal: false,
-            browser: Browsers.macOS('Chrome'),
-            defaultQueryTimeoutMs: 60000,
-            connectTimeoutMs: 60000,
-            keepAliveIntervalMs: 10000,
-        });
-
-        sock.ev.on('connection.update', async (update) => {
-            const { connection, lastDisconnect, qr } = update;
-            
-            if (qr) {
-                try {
-                    qrCodeData = await QRCode.toDataURL(qr);
-                    connectionStatus = 'qr_ready';
-                    addConnectionLog('QR Code gerado. Escaneie para conectar.');
-                } catch (error) {
-                    console.error('Erro ao gerar QR Code:', error);
-                    addConnectionLog('Erro ao gerar QR Code: ' + error.message);
-                }
-            }
-
-            if (connection === 'close') {
-                const shouldReconnect = (lastDisconnect?.error as Boom)?.output?.statusCode !== DisconnectReason.loggedOut;
-                const statusCode = (lastDisconnect?.error as Boom)?.output?.statusCode;
-                
-                connectionStatus = 'disconnected';
-                qrCodeData = '';
-                
-                let reason = 'Conexão perdida';
-                switch (statusCode) {
-                    case DisconnectReason.badSession:
-                        reason = 'Sessão inválida';
-                        break;
-                    case DisconnectReason.connectionClosed:
-                        reason = 'Conexão fechada';
-                        break;
-                    case DisconnectReason.connectionLost:
-                        reason = 'Conexão perdida';
-                        break;
-                    case DisconnectReason.connectionReplaced:
-                        reason = 'Conexão substituída';
-                        break;
-                    case DisconnectReason.loggedOut:
-                        reason = 'Deslogado';
-                        break;
-                    case DisconnectReason.restartRequired:
-                        reason = 'Reinício necessário';
-                        break;
-                    case DisconnectReason.timedOut:
-                        reason = 'Tempo esgotado';
-                        break;
-                }
-                
-                addConnectionLog(`${reason}. ${shouldReconnect ? 'Tentando reconectar...' : 'Não será reconectado.'}`);
-                
-                if (shouldReconnect && reconnectAttempts < maxReconnectAttempts) {
-                    reconnectAttempts++;
-                    addConnectionLog(`Tentativa de reconexão ${reconnectAttempts}/${maxReconnectAttempts}`);
-                    setTimeout(connectToWhatsApp, 5000);
-                } else if (reconnectAttempts >= maxReconnectAttempts) {
-                    addConnectionLog('Máximo de tentativas de reconexão atingido');
-                    reconnectAttempts = 0;
-                }
-            } else if (connection === 'open') {
-                connectionStatus = 'connected';
-                reconnectAttempts = 0;
-                addConnectionLog('Conectado ao WhatsApp com sucesso!');
-                qrCodeData = '';
-                
-                // Atualizar lista de grupos
-                setTimeout(updateGroupsList, 2000);
-            } else if (connection === 'connecting') {
-                connectionStatus = 'connecting';
-                addConnectionLog('Conectando...');
-            }
-        });
-
-        sock.ev.on('creds.update', saveCreds);
-        
-        sock.ev.on('groups.update', async (updates) => {
-            if (connectionStatus === 'connected') {
-                addConnectionLog(`${updates.length} grupos atualizados`);
-                await updateGroupsList();
-            }
-        });
-
-        sock.ev.on('messaging-history.set', () => {
-            addConnectionLog('Histórico de mensagens carregado');
-        });
-
-    } catch (error) {
-        console.error('Erro na conexão:', error);
-        connectionStatus = 'error';
-        addConnectionLog(`Erro na conexão: ${error.message}`);
-        
-        // Tentar reconectar após erro
-        if (reconnectAttempts < maxReconnectAttempts) {
-            reconnectAttempts++;
-            setTimeout(connectToWhatsApp, 10000);
-        }
-    }
-}
-
 // Função para adicionar logs de conexão
-function addConnectionLog(message) {
+function addConnectionLog(message, sessionId = null) {
     const log = {
         timestamp: new Date().toISOString(),
+        session: sessionId,
         message
     };
     connectionLogs.unshift(log);
     if (connectionLogs.length > 100) {
         connectionLogs = connectionLogs.slice(0, 100);
     }
-    console.log(`[${new Date().toLocaleTimeString()}] ${message}`);
+    console.log(`[${new Date().toLocaleTimeString()}]${sessionId ? ` [${sessionId}]` : ''} ${message}`);
+    events.publish('log', log);
 }
 
-// Função para atualizar lista de grupos
-async function updateGroupsList() {
+// Eventos das sessões do WhatsApp
+sessions.on('log', (session, message) => addConnectionLog(message, session.id));
+sessions.on('status', (session, status) => {
+    events.publish('status', { session: session.id, status });
+    if (status === 'connected') resumeExecutions(session.id);
+});
+sessions.on('qr', (session, qrCode) => events.publish('qr', { session: session.id, qrCode }));
+sessions.on('pairing-code', (session, code) => events.publish('pairing-code', { session: session.id, code }));
+sessions.on('reconnect', (session, info) => events.publish('reconnect', { session: session.id, ...info }));
+sessions.on('groups-changed', (session) => updateGroupsList(session));
+sessions.on('poll-update', (session, key, pollUpdates) => recordPollVotes(session, key, pollUpdates));
+
+// Função para atualizar lista de grupos de uma sessão
+async function updateGroupsList(session) {
     try {
-        if (!sock || connectionStatus !== 'connected') {
-            addConnectionLog('Não é possível atualizar grupos - WhatsApp desconectado');
+        if (!session.isConnected()) {
+            addConnectionLog('Não é possível atualizar grupos - WhatsApp desconectado', session.id);
             return;
         }
         
-        addConnectionLog('Buscando lista de grupos...');
-        const groups = await sock.groupFetchAllParticipating();
-        const groupsList = Object.values(groups).map(group => ({
-            id: group.id,
-            name: group.subject || 'Grupo sem nome',
-            participantsCount: group.participants?.length || 0,
-            isAdmin: group.participants?.some(p => 
-                p.id === sock.user?.id && (p.admin === 'admin' || p.admin === 'superadmin')
-            ) || false,
-            description: group.desc || '',
-            createdAt: group.creation ? new Date(group.creation * 1000).toISOString() : null
-        }));
+        addConnectionLog('Buscando lista de grupos...', session.id);
+        const groupsList = await session.fetchGroups();
         
-        await writeData('groups', groupsList);
-        await updateStatistics('groups', groupsList.length);
+        const allGroups = await store.update('groups', (groups) => {
+            const otherSessions = groups.filter(g => g.session !== session.id);
+            groups.splice(0, groups.length, ...otherSessions, ...groupsList);
+            return groups;
+        });
+        await updateStatistics('groups', allGroups.length);
         
-        addConnectionLog(`${groupsList.length} grupos encontrados e salvos`);
+        addConnectionLog(`${groupsList.length} grupos encontrados e salvos`, session.id);
         
     } catch (error) {
         console.error('Erro ao buscar grupos:', error);
-        addConnectionLog(`Erro ao buscar grupos: ${error.message}`);
+        addConnectionLog(`Erro ao buscar grupos: ${error.message}`, session.id);
+    }
+}
+
+// Participantes a mencionar de forma oculta em um grupo, conforme settings.mentions
+async function resolveMentions(session, groupId) {
+    const { mentions: settings = {} } = await store.read('settings');
+
+    if (settings.enabled === false) {
+        return { mentions: [], reason: 'menções desativadas nas configurações' };
+    }
+    if ((settings.disabledGroups || []).includes(groupId)) {
+        return { mentions: [], reason: 'menções desativadas para o grupo' };
     }
+
+    const participants = await session.fetchParticipants(groupId);
+    if (settings.maxPerGroup && participants.length > settings.maxPerGroup) {
+        return { mentions: [], reason: `${participants.length} participantes (máximo ${settings.maxPerGroup})` };
+    }
+    return { mentions: participants, reason: null };
 }
 
 // Função para enviar mensagem
-async function sendMessage(groupId, text, imagePath = null) {
+// As etapas seguintes de uma sequência usam skipAntiSpam: a sequência conta como um envio.
+// Com poll, o texto é a pergunta da enquete. mentions notifica os participantes sem
+// citá-los no texto. Com countStatistics falso (envios de teste), o envio não entra
+// nas estatísticas
+// mediaSent indica que a mídia de um áudio ou figurinha já foi entregue e falta só
+// o texto enviado em seguida; onMediaSent é chamada assim que a mídia é entregue
+async function sendMessage(session, groupId, text, attachment = null, { skipAntiSpam = false, poll = null, mentions = [], countStatistics = true, mediaSent = false, onMediaSent = null } = {}) {
     try {
-        if (!sock || connectionStatus !== 'connected') {
+        if (!session.isConnected()) {
             throw new Error('WhatsApp não conectado');
         }
 
-        if (!await checkAntiSpam(groupId)) {
+        if (!skipAntiSpam && !await checkAntiSpam(session.id, groupId)) {
             throw new Error('Limite de mensagens atingido para este grupo (anti-spam)');
         }
 
         let messageContent;
+        let separateText = null;
         
-        if (imagePath) {
+        if (poll) {
+            messageContent = polls.buildPollContent(poll, text);
+        } else if (attachment) {
             try {
-                const imageBuffer = await fs.readFile(imagePath);
-                messageContent = {
-                    image: imageBuffer,
-                    caption: text || ''
-                };
-            } catch (imageError) {
-                console.error('Erro ao ler imagem:', imageError);
-                // Se falhar ao ler imagem, enviar só o texto
+                const buffer = await fs.readFile(attachment.path);
+                messageContent = media.buildMessageContent(attachment, buffer, text || '');
+                // Áudios e figurinhas não têm legenda: o texto vai em seguida
+                if (text && !media.supportsCaption(attachment.type)) {
+                    separateText = text;
+                }
+            } catch (mediaError) {
+                console.error('Erro ao ler mídia:', mediaError);
+                // Se falhar ao ler o arquivo, enviar só o texto
                 messageContent = { text: text || 'Mensagem sem texto' };
             }
         } else {
             messageContent = { text: text || 'Mensagem sem texto' };
         }
 
-        await sock.sendMessage(groupId, messageContent);
-        await updateStatistics('sent');
+        // A menção vai na mensagem com texto (no áudio e na figurinha, no texto enviado em seguida)
+        const withMentions = (content) => mentions.length > 0 ? { ...content, mentions } : content;
+
+        if (!separateText) {
+            const sent = await session.sendMessage(groupId, withMentions(messageContent));
+            if (countStatistics) await updateStatistics('sent');
+            return sent;
+        }
+
+        // Mídia e texto em duas mensagens: uma nova tentativa depois de o texto
+        // falhar não reenvia a mídia
+        let sent = null;
+        if (!mediaSent) {
+            sent = await session.sendMessage(groupId, messageContent);
+            if (onMediaSent) await onMediaSent(sent);
+        }
+        const textSent = await session.sendMessage(groupId, withMentions({ text: separateText }));
+        if (countStatistics) await updateStatistics('sent');
         
-        return true;
+        return sent || textSent;
         
     } catch (error) {
         console.error('Erro ao enviar mensagem:', error);
-        await updateStatistics('failed');
+        if (countStatistics) await updateStatistics('failed');
         throw error;
     }
 }
 
+// Fuso horário em que a campanha é agendada e as variáveis de data são montadas
+function campaignTimezone(campaign) {
+    return campaign.timezone || config.constants.DEFAULT_TIMEZONE;
+}
+
 // Função para agendar campanhas
 function scheduleCampaign(campaign) {
     try {
         const { id, schedule } = campaign;
+        const timezone = campaignTimezone(campaign);
         
         // Remover agendamento anterior se existir
         if (scheduledJobs.has(id)) {
@@ -410,366 +463,1947 @@ function scheduleCampaign(campaign) {
         }
 
         if (campaign.status !== 'active') return;
+        if (schedule.type !== 'once' && schedule.type !== 'recurring') return;
 
-        let cronExpression = '';
-        
-        if (schedule.type === 'once') {
-            const date = new Date(schedule.datetime);
-            if (date <= new Date()) {
+        if (schedules.isFinished(schedule, new Date(), timezone)) {
+            if (schedule.type === 'once') {
                 addConnectionLog(`Campanha "${campaign.name}" tem data no passado - não será agendada`);
-                return;
+            } else {
+                completeCampaign(campaign, 'período de agendamento encerrado');
             }
-            
-            const minute = date.getMinutes();
-            const hour = date.getHours();
-            const day = date.getDate();
-            const month = date.getMonth() + 1;
-            cronExpression = `${minute} ${hour} ${day} ${month} *`;
-            
-        } else if (schedule.type === 'recurring') {
-            const time = schedule.time.split(':');
-            const minute = parseInt(time[1]);
-            const hour = parseInt(time[0]);
-            
-            if (schedule.frequency === 'daily') {
-                cronExpression = `${minute} ${hour} * * *`;
-            } else if (schedule.frequency === 'weekly') {
-                const days = schedule.daysOfWeek.join(',');
-                cronExpression = `${minute} ${hour} * * ${days}`;
+            return;
+        }
+
+        try {
+            const job = new schedules.ScheduledJob(schedule, timezone, async () => {
+                await executeCampaign(campaign);
+
+                // O envio único é concluído por finishExecution, só se a execução aconteceu
+                if (schedule.type === 'recurring' && schedules.isFinished(schedule, new Date(), timezone)) {
+                    await completeCampaign(campaign, 'última execução do período');
+                }
+            });
+
+            scheduledJobs.set(id, job);
+            addConnectionLog(`Campanha "${campaign.name}" agendada para ${Utils.formatDate(job.nextRun, 'datetime', timezone)} (${timezone})`);
+        } catch (scheduleError) {
+            console.error('Erro ao agendar campanha:', scheduleError);
+            addConnectionLog(`Erro ao agendar campanha "${campaign.name}": ${scheduleError.message}`);
+        }
+    } catch (error) {
+        console.error('Erro no agendamento:', error);
+        addConnectionLog(`Erro no agendamento da campanha: ${error.message}`);
+    }
+}
+
+// Concluir uma campanha que não tem mais execuções agendadas
+async function completeCampaign(campaign, reason) {
+    if (scheduledJobs.has(campaign.id)) {
+        scheduledJobs.get(campaign.id).stop();
+        scheduledJobs.delete(campaign.id);
+    }
+
+    try {
+        await store.update('campaigns', (campaigns) => {
+            const current = campaigns.find(c => c.id === campaign.id);
+            if (current && current.status === 'active') {
+                current.status = 'completed';
+                current.updatedAt = new Date().toISOString();
+            }
+        });
+        addConnectionLog(`Campanha "${campaign.name}" concluída: ${reason}`);
+    } catch (error) {
+        console.error('Erro ao concluir campanha:', error);
+    }
+}
+
+// Registrar na campanha uma execução que não aconteceu (campaign.lastRunError)
+// O envio único continua ativo, sem ser concluído, para que o problema fique visível
+async function recordRunError(campaign, reason) {
+    addConnectionLog(`Campanha "${campaign.name}" não executada: ${reason}`, campaign.session);
+    try {
+        await store.update('campaigns', (campaigns) => {
+            const current = campaigns.find(c => c.id === campaign.id);
+            if (current) current.lastRunError = { at: new Date().toISOString(), reason };
+        });
+    } catch (error) {
+        console.error('Erro ao registrar falha da campanha:', error);
+    }
+}
+
+// Próximas execuções de uma campanha ativa
+function campaignNextRuns(campaign, count) {
+    if (campaign.status !== 'active' || !campaign.schedule) return [];
+
+    try {
+        return schedules.nextRuns(campaign.schedule, { count, timezone: campaignTimezone(campaign) })
+            .map(date => date.toISOString());
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Simular a execução de uma campanha sem enviar nada
+ *
+ * Percorre as mesmas etapas de executeCampaign e sendJob (grupos, anti-spam,
+ * variação, sequência, menções e mensagem de cada grupo), mas não chama o
+ * WhatsApp nem altera contadores: rodízio de variações, anti-spam, estatísticas
+ * e histórico de entregas ficam como estão.
+ *
+ * A duração considera o intervalo mínimo entre envios e os intervalos das
+ * etapas; não inclui o tempo de cada envio nem outras campanhas na fila.
+ * @param {Object} campaign - Campanha
+ * @param {Object} options - Opções
+ * @param {number} options.nextRuns - Quantidade de próximas execuções a listar
+ * @returns {Promise<Object>} Prévia da execução
+ */
+async function previewCampaign(campaign, { nextRuns: count = 5 } = {}) {
+    const timezone = campaignTimezone(campaign);
+    const sessionId = campaign.session || DEFAULT_SESSION_ID;
+    const session = sessions.get(sessionId);
+    const connected = Boolean(session && session.isConnected());
+    const warnings = [];
+
+    if (campaign.status !== 'active') {
+        warnings.push(`A campanha está com status "${campaign.status}" e não será executada até ser ativada`);
+    }
+    if (!session) {
+        warnings.push(`Sessão "${sessionId}" não encontrada`);
+    } else if (!connected) {
+        warnings.push('WhatsApp desconectado: a execução aguardará a conexão e as menções não puderam ser verificadas');
+    }
+
+    let nextRuns = [];
+    try {
+        nextRuns = schedules.nextRuns(campaign.schedule, { count, timezone });
+    } catch (error) {
+        warnings.push(`Não foi possível calcular as próximas execuções: ${error.message}`);
+    }
+    if (nextRuns.length === 0) {
+        warnings.push('Não há próximas execuções agendadas; a prévia considera um envio agora');
+    }
+    const startsAt = nextRuns[0] || new Date();
+
+    const groups = await store.read('groups');
+    const variantList = variants.listVariants(campaign);
+    const variantMode = campaign.variantMode || 'random';
+    const minGap = config.campaigns.minSendGap;
+
+    const items = [];
+    let offset = 0;
+    for (const [index, groupId] of campaign.targetGroups.entries()) {
+        const item = { position: index + 1, groupId, groupName: null, action: 'send', reason: null };
+        items.push(item);
+
+        const group = groups.find(g => g.id === groupId && g.session === sessionId);
+        if (!group) {
+            Object.assign(item, { action: 'skip', reason: 'Grupo não encontrado' });
+            continue;
+        }
+        item.groupName = group.name;
+
+        // Cada grupo envia pelo menos minGap depois do anterior
+        const sendAt = new Date(startsAt.getTime() + offset);
+        if (session && !await checkAntiSpam(session.id, groupId, { dryRun: true, at: sendAt.getTime() })) {
+            Object.assign(item, { action: 'skip', reason: 'Limite de mensagens atingido para este grupo (anti-spam)' });
+            continue;
+        }
+
+        // No rodízio, a posição parte do cursor atual, sem reservá-la
+        const variant = variants.selectVariant(variantList, variantMode, (campaign.variantCursor || 0) + index);
+        const sequence = steps.buildSequence(variant, campaign.steps, campaign.type === 'poll' ? campaign.poll : null);
+
+        let mentions = null;
+        if (campaign.mentionAll && campaign.type !== 'poll' && connected) {
+            try {
+                const resolved = await resolveMentions(session, group.id);
+                mentions = { count: resolved.mentions.length, reason: resolved.reason };
+            } catch (error) {
+                mentions = { count: 0, reason: error.message };
             }
         }
 
-        if (cronExpression) {
+        let stepOffset = 0;
+        item.variant = variant.index;
+        item.mentions = mentions;
+        item.estimatedAt = sendAt.toISOString();
+        item.steps = sequence.map((step, stepIndex) => {
+            if (stepIndex > 0) stepOffset += (step.delay || 0) * 1000;
+            const date = new Date(sendAt.getTime() + stepOffset);
+            const render = (text) => templates.renderTemplate(templates.expandSpintax(text), { campaign, group, date });
+            const { text, media: attachment, poll } = steps.stepContent(step, render);
+
+            return {
+                step: stepIndex,
+                type: step.type,
+                delay: stepIndex > 0 ? step.delay || 0 : 0,
+                text,
+                media: attachment ? { type: attachment.type, fileName: attachment.fileName, path: attachment.path } : null,
+                poll: poll ? { options: poll.options, multiSelect: Boolean(poll.multiSelect) } : null
+            };
+        });
+
+        item.duration = stepOffset;
+        offset += Math.max(minGap, stepOffset);
+    }
+
+    const sending = items.filter(item => item.action === 'send');
+    const last = sending[sending.length - 1];
+    const duration = last ? new Date(last.estimatedAt).getTime() - startsAt.getTime() + last.duration : 0;
+
+    if (variantList.length > 1 && variantMode === 'random') {
+        warnings.push('Variações sorteadas: cada execução pode escolher variações diferentes das mostradas');
+    }
+
+    return {
+        dryRun: true,
+        campaignId: campaign.id,
+        name: campaign.name,
+        status: campaign.status,
+        session: sessionId,
+        connected,
+        timezone,
+        priority: campaign.priority || DEFAULT_PRIORITY,
+        nextRuns: nextRuns.map(date => date.toISOString()),
+        startsAt: startsAt.toISOString(),
+        estimatedDurationSeconds: Math.round(duration / 1000),
+        estimatedFinishAt: new Date(startsAt.getTime() + duration).toISOString(),
+        total: items.length,
+        sending: sending.length,
+        skipped: items.length - sending.length,
+        groups: items.map(({ duration, ...item }) => item),
+        warnings
+    };
+}
+
+/**
+ * Enviar o conteúdo de uma campanha para números de teste
+ *
+ * Cada número recebe a sequência completa (mensagem principal ou enquete e
+ * etapas seguintes, sem os intervalos entre etapas) com as variáveis montadas
+ * para um dos grupos da campanha. O envio não passa pelo anti-spam dos grupos
+ * nem entra nas estatísticas ou no histórico de entregas.
+ * @param {Object} campaign - Campanha
+ * @param {Object} session - Sessão conectada do WhatsApp
+ * @param {Array} numbers - Números só com dígitos (DDI + DDD + número)
+ * @param {Object} options - Opções
+ * @param {number} options.variant - Índice da variação (padrão: a mensagem principal)
+ * @returns {Promise<Array>} Resultado por número { number, status, sentSteps, steps, error }
+ */
+async function sendCampaignTest(campaign, session, numbers, { variant: variantIndex = 0 } = {}) {
+    const variantList = variants.listVariants(campaign);
+    const variant = variantList[variantIndex] || variantList[0];
+    const sequence = steps.buildSequence(variant, campaign.steps, campaign.type === 'poll' ? campaign.poll : null);
+
+    // Variáveis de grupo ({{grupo}}, {{participantes}}) com os dados do primeiro grupo da campanha
+    const groups = await store.read('groups');
+    const group = groups.find(g => campaign.targetGroups.includes(g.id) && g.session === session.id)
+        || { name: 'Grupo de teste', participantsCount: 0 };
+    const render = (text) => templates.renderTemplate(templates.expandSpintax(text), { campaign, group });
+
+    const results = [];
+    for (const number of numbers) {
+        const result = { number, status: 'sent', sentSteps: 0, steps: sequence.length, error: null };
+        results.push(result);
+
+        for (const step of sequence) {
+            const { text, media: attachment, poll } = steps.stepContent(step, render);
             try {
-                const job = cron.schedule(cronExpression, async () => {
-                    await executeCampaign(campaign);
-                }, {
-                    scheduled: true,
-                    timezone: 'America/Sao_Paulo'
+                await sendMessage(session, `${number}@s.whatsapp.net`, text, attachment, {
+                    skipAntiSpam: true,
+                    poll,
+                    countStatistics: false
                 });
-
-                scheduledJobs.set(id, job);
-                addConnectionLog(`Campanha "${campaign.name}" agendada com sucesso`);
-            } catch (cronError) {
-                console.error('Erro ao agendar campanha:', cronError);
-                addConnectionLog(`Erro ao agendar campanha "${campaign.name}": ${cronError.message}`);
+                result.sentSteps++;
+            } catch (error) {
+                Object.assign(result, { status: 'failed', error: error.message });
+                break;
             }
         }
+    }
+
+    const sent = results.filter(result => result.status === 'sent').length;
+    addConnectionLog(`Teste da campanha "${campaign.name}" enviado para ${sent}/${numbers.length} números`, session.id);
+    return results;
+}
+
+// Função para executar campanha
+// Cria a execução na fila persistente de envios e começa a processá-la
+async function executeCampaign(campaign) {
+    try {
+        const session = sessions.get(campaign.session || DEFAULT_SESSION_ID);
+        if (campaign.status !== 'active' || !session || !session.isConnected()) {
+            const connection = session ? session.status : 'sessão inexistente';
+            await recordRunError(campaign, `status: ${campaign.status}, conexão: ${connection}`);
+            return;
+        }
+
+        addConnectionLog(`Iniciando execução da campanha: ${campaign.name}`, session.id);
+        
+        const total = campaign.targetGroups.length;
+
+        // Variações de mensagem: no rodízio, reservar as posições desta execução
+        const variantList = variants.listVariants(campaign);
+        const variantMode = campaign.variantMode || 'random';
+        let variantCursor = 0;
+        if (variantList.length > 1 && variantMode === 'round_robin') {
+            variantCursor = await store.update('campaigns', (campaigns) => {
+                const current = campaigns.find(c => c.id === campaign.id);
+                if (!current) return 0;
+
+                const start = current.variantCursor || 0;
+                current.variantCursor = start + total;
+                return start;
+            });
+        }
+
+        // A variação de cada grupo é escolhida agora para não mudar se a execução for retomada
+        const execution = await sendQueue.create(campaign, {
+            session: session.id,
+            variantFor: (index) => variants.selectVariant(variantList, variantMode, variantCursor + index).index
+        });
+
+        events.publish('campaign-started', { session: session.id, campaignId: campaign.id, executionId: execution.id, campaignName: campaign.name, total });
+        await dispatchExecution(execution, campaign);
+
     } catch (error) {
-        console.error('Erro no agendamento:', error);
-        addConnectionLog(`Erro no agendamento da campanha: ${error.message}`);
+        console.error('Erro na execução da campanha:', error);
+        await recordRunError(campaign, `erro na execução: ${error.message}`);
+    }
+}
+
+// Colocar uma execução no despachante; resolve quando ela terminar de rodar
+function dispatchExecution(execution, campaign) {
+    const done = dispatcher.enqueue(execution.id, {
+        campaignId: execution.campaignId,
+        campaignName: execution.campaignName,
+        session: execution.session,
+        priority: campaign?.priority || DEFAULT_PRIORITY
+    });
+
+    const { running, maxConcurrent } = dispatcher.snapshot();
+    if (!running.some(entry => entry.executionId === execution.id)) {
+        addConnectionLog(`Campanha "${execution.campaignName}" na fila: ${running.length}/${maxConcurrent} execuções em andamento`, execution.session);
+    }
+    return done;
+}
+
+// Processar os envios pendentes de uma execução (nova ou retomada)
+async function runExecution(executionId) {
+    try {
+        await processExecution(executionId);
+    } catch (error) {
+        console.error('Erro ao processar execução:', error);
+        addConnectionLog(`Erro ao processar a execução ${executionId}: ${error.message}`);
+    }
+}
+
+// Registrar a entrega de um job e avisar o painel do andamento
+async function reportDelivery(execution, entry, position) {
+    const delivery = await recordDelivery(entry);
+    events.publish('campaign-progress', {
+        session: execution.session,
+        campaignId: execution.campaignId,
+        executionId: execution.id,
+        groupId: delivery.groupId,
+        groupName: delivery.groupName || null,
+        variant: delivery.variant ?? null,
+        step: delivery.step,
+        steps: delivery.steps,
+        status: delivery.status,
+        error: delivery.error,
+        position,
+        total: execution.jobs.length
+    });
+}
+
+// Status atual de uma execução (pausa e cancelamento valem a partir do próximo envio)
+function executionStatus(executionId) {
+    return sendQueue.status(executionId);
+}
+
+async function processExecution(executionId) {
+    const execution = await sendQueue.get(executionId);
+    if (!execution) return;
+
+    const campaign = (await store.read('campaigns')).find(c => c.id === execution.campaignId);
+    const session = sessions.get(execution.session);
+    const report = (entry, position) => reportDelivery(execution, entry, position);
+
+    // Cancelada enquanto esperava no despachante
+    if (execution.status === 'cancelled' && !execution.finishedAt) {
+        await finishExecution(execution.id, campaign);
+        return;
+    }
+    if (execution.status !== 'running') return;
+
+    if (!campaign) {
+        // Campanha excluída durante a execução: os envios restantes não acontecem mais
+        for (const job of execution.jobs.filter(j => j.state === 'pending')) {
+            await sendQueue.updateJob(executionId, job.position, { state: 'skipped', error: 'Campanha excluída' });
+            await report({ campaignId: execution.campaignId, executionId, groupId: job.groupId, status: 'skipped', error: 'Campanha excluída' }, job.position);
+        }
+        await finishExecution(execution.id, null);
+        return;
+    }
+
+    if (!session || !session.isConnected()) {
+        addConnectionLog(`Execução da campanha "${campaign.name}" aguardando conexão do WhatsApp`, execution.session);
+        return;
+    }
+
+    // Os envios usam o conteúdo da revisão gravada na execução, mesmo que a campanha
+    // tenha sido editada depois (pausa, nova tentativa ou reinício no meio da execução)
+    const content = await revisionContent(campaign, execution.revision);
+    if (!content) {
+        const error = `Revisão ${execution.revision} da campanha não encontrada`;
+        for (const job of execution.jobs.filter(j => j.state === 'pending')) {
+            await sendQueue.updateJob(executionId, job.position, { state: 'failed', error });
+            await report({ campaignId: campaign.id, executionId, groupId: job.groupId, status: 'failed', error, failureType: 'permanent' }, job.position);
+        }
+        addConnectionLog(`Execução da campanha "${campaign.name}" encerrada: ${error}`, execution.session);
+        await finishExecution(execution.id, campaign);
+        return;
+    }
+
+    const outcome = await sendPendingJobs({ executionId, campaign: content, session, report });
+    if (outcome === 'paused') return;
+
+    // Grupos aguardando nova tentativa: a execução libera o despachante e volta
+    // para a fila quando a primeira delas vencer
+    const retrying = outcome === 'done'
+        ? (await sendQueue.get(executionId)).jobs.filter(j => j.state === 'pending')
+        : [];
+    if (retrying.length > 0) {
+        const retryAt = Math.min(...retrying.map(j => Date.parse(j.retryAt) || Date.now()));
+        scheduleRetry(executionId, retryAt);
+        addConnectionLog(
+            `Campanha "${campaign.name}": ${retrying.length} grupo(s) aguardando nova tentativa em ${Math.max(0, Math.round((retryAt - Date.now()) / 1000))}s`,
+            session.id
+        );
+        return;
     }
+
+    await finishExecution(execution.id, campaign);
+}
+
+// Voltar a colocar uma execução no despachante quando suas novas tentativas vencerem
+// Pausa, cancelamento e desconexão são tratados por processExecution ao rodar
+function scheduleRetry(executionId, retryAt) {
+    clearTimeout(retryTimers.get(executionId));
+    retryTimers.set(executionId, setTimeout(async () => {
+        retryTimers.delete(executionId);
+        try {
+            const execution = await sendQueue.get(executionId);
+            if (!execution || execution.status !== 'running' || dispatcher.has(executionId)) return;
+
+            const campaign = (await store.read('campaigns')).find(c => c.id === execution.campaignId);
+            dispatchExecution(execution, campaign);
+        } catch (error) {
+            console.error('Erro ao retomar novas tentativas:', error);
+        }
+    }, Math.max(0, retryAt - Date.now())));
 }
 
-// Função para executar campanha
-async function executeCampaign(campaign) {
+/**
+ * Enviar uma vez cada grupo pendente da execução, em ordem
+ * @returns {Promise<string>} 'done', 'paused' (pausa ou desconexão) ou 'cancelled'
+ */
+async function sendPendingJobs({ executionId, campaign, session, report }) {
+    const execution = await sendQueue.get(executionId);
+    const groups = await store.read('groups');
+    const variantList = variants.listVariants(campaign);
+
+    for (const job of execution.jobs) {
+        if (job.state !== 'pending') continue;
+        // Nova tentativa ainda não vencida: fica para a próxima vez que a execução rodar
+        if (job.retryAt && Date.parse(job.retryAt) > Date.now()) continue;
+
+        // Vez de enviar, respeitando o intervalo mínimo entre envios de todas as campanhas
+        await dispatcher.acquire(executionId);
+
+        const status = await executionStatus(executionId);
+        if (status === 'paused') {
+            const { position, total } = summarize(await sendQueue.get(executionId));
+            addConnectionLog(`Execução da campanha "${campaign.name}" pausada em ${position}/${total} grupos`, session.id);
+            return 'paused';
+        }
+        // Cancelada: os grupos restantes já foram marcados como ignorados
+        if (status !== 'running') return 'cancelled';
+
+        if (!session.isConnected()) {
+            addConnectionLog(`Execução da campanha "${campaign.name}" pausada: WhatsApp desconectado. Os envios continuam ao reconectar`, session.id);
+            return 'paused';
+        }
+
+        if (await sendJob({ campaign, session, execution, job, groups, variantList, report }) === 'paused') {
+            return 'paused';
+        }
+    }
+
+    return 'done';
+}
+
+// Enviar a sequência de mensagens de um grupo, continuando da etapa gravada no job
+// Retorna 'paused' se a sequência parou no meio e o grupo voltou a ficar pendente e
+// 'retry' se uma falha temporária deixou o grupo para uma nova tentativa (job.retryAt)
+async function sendJob({ campaign, session, execution, job, groups, variantList, report }) {
+    const executionId = execution.id;
+    const { groupId, position } = job;
+    const delivery = { campaignId: campaign.id, executionId, groupId };
+    const group = groups.find(g => g.id === groupId && g.session === session.id);
+    if (!group) {
+        const attempts = [...(job.attempts || []), {
+            at: new Date().toISOString(), step: job.step, error: 'Grupo não encontrado', type: 'permanent', reason: 'grupo não encontrado'
+        }];
+        await sendQueue.updateJob(executionId, position, { state: 'failed', error: 'Grupo não encontrado', attempts });
+        await report({ ...delivery, status: 'failed', error: 'Grupo não encontrado', failureType: 'permanent' }, position);
+        return;
+    }
+
+    const variant = variantList[job.variant] || variantList[0];
+    const sequence = steps.buildSequence(variant, campaign.steps, campaign.type === 'poll' ? campaign.poll : null);
+    const mentions = campaign.mentionAll && campaign.type !== 'poll' && job.step === 0
+        ? await groupMentions(session, group)
+        : [];
+    const render = (text) => templates.renderTemplate(templates.expandSpintax(text), { campaign, group });
+    let sentSteps = job.sentSteps;
+    let stopReason = null;
+    let cancelled = false;
+
+    await sendQueue.updateJob(executionId, position, { state: 'sending', steps: sequence.length, retryAt: null });
+
+    for (const [stepIndex, step] of sequence.entries()) {
+        // Etapas já enviadas antes de a execução ser interrompida
+        if (stepIndex < job.step) continue;
+
+        const stepDelivery = {
+            ...delivery,
+            groupName: group.name,
+            variant: variant.index,
+            step: stepIndex,
+            steps: sequence.length,
+            mentions: stepIndex === 0 ? mentions.length : 0
+        };
+
+        if (stopReason) {
+            await sendQueue.updateJob(executionId, position, { step: stepIndex + 1 });
+            await report({ ...stepDelivery, status: 'skipped', error: stopReason }, position);
+            continue;
+        }
+
+        if (stepIndex > 0 && step.delay > 0) {
+            await Utils.sleep(step.delay * 1000);
+        }
+
+        // Pausa ou desconexão no meio da sequência: o grupo continua desta etapa depois
+        const status = stepIndex > job.step ? await executionStatus(executionId) : 'running';
+        if (status === 'paused' || !session.isConnected()) {
+            await sendQueue.updateJob(executionId, position, { state: 'pending', sentSteps });
+            if (status === 'paused') {
+                addConnectionLog(`Execução da campanha "${campaign.name}" pausada em ${group.name} (etapa ${stepIndex + 1}/${sequence.length})`, session.id);
+            }
+            return 'paused';
+        }
+        if (status !== 'running') {
+            cancelled = true;
+            stopReason = 'Execução cancelada';
+            await sendQueue.updateJob(executionId, position, { step: stepIndex + 1 });
+            await report({ ...stepDelivery, status: 'skipped', error: stopReason }, position);
+            continue;
+        }
+
+        const { text, media: attachment, poll } = steps.stepContent(step, render);
+        Object.assign(stepDelivery, {
+            message: text,
+            mediaType: attachment?.type || null,
+            mediaPath: attachment?.path || null
+        });
+
+        await sendQueue.updateJob(executionId, position, { sendingStep: stepIndex });
+        try {
+            const sent = await sendMessage(session, groupId, text, attachment, {
+                skipAntiSpam: stepIndex > 0,
+                poll,
+                mentions: stepIndex === 0 ? mentions : [],
+                mediaSent: stepIndex === job.step && job.mediaSent === true,
+                onMediaSent: () => sendQueue.updateJob(executionId, position, { mediaSent: true })
+            });
+            if (poll) {
+                await recordPoll(sent, poll, text, { campaignId: campaign.id, executionId, groupId, session: session.id });
+            }
+            sentSteps++;
+            await report({ ...stepDelivery, status: 'sent', messageKey: sent?.key || null }, position);
+            await sendQueue.updateJob(executionId, position, { step: stepIndex + 1, sentSteps, sendingStep: null, mediaSent: false });
+        } catch (error) {
+            // Cada tentativa fica registrada com a classificação da falha
+            const failure = classifySendError(error);
+            const attempts = [...(job.attempts || []), {
+                at: new Date().toISOString(), step: stepIndex, error: error.message, ...failure
+            }];
+            // Cancelada durante o envio: o grupo é encerrado aqui, sem nova tentativa
+            const retry = failure.type === 'transient' && attempts.length <= config.antiSpam.maxRetries &&
+                await executionStatus(executionId) !== 'cancelled';
+            const label = sequence.length > 1 ? ` (etapa ${stepIndex + 1}/${sequence.length})` : '';
+
+            await report({ ...stepDelivery, status: 'failed', error: error.message, failureType: failure.type, retry }, position);
+            addConnectionLog(
+                `Erro ao enviar para ${group.name}${label}: ${error.message} (${failure.reason}` +
+                `${retry ? `; tentativa ${attempts.length} de ${config.antiSpam.maxRetries + 1}` : ''})`,
+                session.id
+            );
+
+            // Falha temporária: o grupo volta para a fila a partir desta etapa, com
+            // intervalo que dobra a cada tentativa (config.antiSpam.retryDelay na primeira)
+            if (retry) {
+                const delay = config.antiSpam.retryDelay * Math.pow(2, attempts.length - 1);
+                await sendQueue.updateJob(executionId, position, {
+                    state: 'pending', sentSteps, sendingStep: null, error: error.message, attempts,
+                    retryAt: new Date(Date.now() + delay).toISOString()
+                });
+                return 'retry';
+            }
+
+            if (campaign.onStepFailure !== 'continue') stopReason = 'Etapa anterior falhou';
+            job.attempts = attempts;
+            await sendQueue.updateJob(executionId, position, { step: stepIndex + 1, sendingStep: null, mediaSent: false, error: error.message, attempts });
+        }
+    }
+
+    // O grupo só conta como enviado se todas as etapas foram entregues
+    const complete = sentSteps === sequence.length;
+    const state = complete ? 'sent' : (cancelled && sentSteps === 0 ? 'skipped' : 'failed');
+    // Enviado depois de novas tentativas: o erro fica só no histórico de tentativas
+    await sendQueue.updateJob(executionId, position, complete ? { state, error: null } : { state });
+
+    if (complete) {
+        addConnectionLog(`Mensagem enviada para: ${group.name}`, session.id);
+    } else if (sentSteps > 0) {
+        addConnectionLog(`Sequência incompleta em ${group.name}: ${sentSteps}/${sequence.length} etapas enviadas`, session.id);
+    }
+}
+
+// Encerrar a execução e somar o resultado às estatísticas da campanha
+async function finishExecution(executionId, campaign) {
+    clearTimeout(retryTimers.get(executionId));
+    retryTimers.delete(executionId);
+
+    const execution = await sendQueue.finish(executionId);
+    if (!execution) return;
+
+    const { sent, failed, skipped, total } = execution;
+    const cancelled = execution.status === 'cancelled';
+
+    if (campaign) {
+        await store.update('campaigns', (campaigns) => {
+            const current = campaigns.find(c => c.id === campaign.id);
+            if (!current) return;
+            
+            current.stats.totalSent += sent;
+            current.stats.totalFailed += failed;
+            current.lastRunError = null;
+            current.stats.executions.push({
+                id: execution.id,
+                revision: execution.revision ?? null,
+                datetime: new Date().toISOString(),
+                sent,
+                failed
+            });
+
+            // Manter apenas as últimas 10 execuções
+            if (current.stats.executions.length > 10) {
+                current.stats.executions = current.stats.executions.slice(-10);
+            }
+        });
+    }
+
+    events.publish('campaign-finished', { session: execution.session, campaignId: execution.campaignId, executionId: execution.id, sent, failed, skipped, total, cancelled });
+    addConnectionLog(
+        `Campanha "${execution.campaignName}" ${cancelled ? 'cancelada' : 'concluída'}: ${sent} enviados, ${failed} falharam` +
+        (skipped > 0 ? `, ${skipped} ignorados` : ''),
+        execution.session
+    );
+
+    // O envio único só termina quando sua execução chegou ao fim
+    if (campaign && !cancelled && campaign.schedule?.type === 'once') {
+        await completeCampaign(campaign, 'envio único realizado');
+    }
+}
+
+// Retomar as execuções interrompidas de uma sessão
+async function resumeExecutions(sessionId) {
+    try {
+        const pending = await sendQueue.list({ status: 'running', session: sessionId });
+        const campaigns = await store.read('campaigns');
+        for (const execution of pending.reverse()) {
+            if (dispatcher.has(execution.id)) continue;
+
+            const { sent, failed, total } = summarize(execution);
+            addConnectionLog(`Retomando a campanha "${execution.campaignName}": ${sent + failed}/${total} grupos já processados`, sessionId);
+            dispatchExecution(execution, campaigns.find(c => c.id === execution.campaignId));
+        }
+    } catch (error) {
+        console.error('Erro ao retomar execuções:', error);
+        addConnectionLog(`Erro ao retomar execuções: ${error.message}`, sessionId);
+    }
+}
+
+// Resolver os envios que estavam em andamento quando o processo parou
+async function reconcileExecutions() {
+    const resolved = await sendQueue.reconcile(async (execution, job) => {
+        const { total } = await store.query('deliveries', {
+            where: { executionId: execution.id, groupId: job.groupId, step: job.sendingStep, status: 'sent' },
+            limit: 1
+        });
+        return total > 0;
+    });
+
+    for (const job of resolved.filter(j => j.state === 'failed')) {
+        addConnectionLog(`Grupo ${job.groupId} (execução ${job.executionId}): ${job.error}`);
+    }
+    return resolved;
+}
+
+// Menção a todos na primeira etapa; se não for possível, a mensagem segue sem menções
+async function groupMentions(session, group) {
+    try {
+        const { mentions, reason } = await resolveMentions(session, group.id);
+        if (reason) {
+            addConnectionLog(`Menção a todos ignorada em ${group.name}: ${reason}`, session.id);
+        }
+        return mentions;
+    } catch (error) {
+        addConnectionLog(`Erro ao buscar participantes de ${group.name}: ${error.message}`, session.id);
+        return [];
+    }
+}
+
+// Middleware para tratamento de erros
+app.use((error, req, res, next) => {
+    console.error('Erro no servidor:', error);
+    res.status(500).json({ 
+        success: false, 
+        error: 'Erro interno do servidor',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+});
+
+// Parar os jobs agendados das campanhas de uma sessão
+async function stopSessionJobs(sessionId) {
+    const campaigns = await store.read('campaigns');
+    for (const campaign of campaigns) {
+        if ((campaign.session || DEFAULT_SESSION_ID) === sessionId && scheduledJobs.has(campaign.id)) {
+            scheduledJobs.get(campaign.id).stop();
+            scheduledJobs.delete(campaign.id);
+        }
+    }
+}
+
+// Rotas da API
+
+// Obter a sessão indicada em ?session= (ou no corpo); responde 404 se não existir
+function resolveSession(req, res) {
+    const id = req.query.session || req.body?.session || DEFAULT_SESSION_ID;
+    const session = sessions.get(id);
+    if (!session) {
+        res.status(404).json({ success: false, error: `Sessão "${id}" não encontrada` });
+        return null;
+    }
+    return session;
+}
+
+// Sessões
+app.get('/api/sessions', (req, res) => {
+    res.json(sessions.list().map(session => session.toJSON()));
+});
+
+app.post('/api/sessions', async (req, res) => {
+    try {
+        const session = await sessions.create({ id: req.body.id, name: req.body.name });
+        addConnectionLog(`Sessão "${session.name}" criada`, session.id);
+        res.json({ success: true, session: session.toJSON() });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/sessions/:id', async (req, res) => {
+    try {
+        if (!sessions.get(req.params.id)) {
+            return res.status(404).json({ success: false, error: 'Sessão não encontrada' });
+        }
+
+        const campaigns = await store.read('campaigns');
+        const inUse = campaigns.filter(c => c.session === req.params.id);
+        if (inUse.length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: `Sessão usada por ${inUse.length} campanha(s): ${inUse.map(c => c.name).join(', ')}`
+            });
+        }
+
+        await sessions.remove(req.params.id);
+        await store.update('groups', (groups) => {
+            const remaining = groups.filter(g => g.session !== req.params.id);
+            groups.splice(0, groups.length, ...remaining);
+        });
+        addConnectionLog(`Sessão "${req.params.id}" removida`);
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// Verificar se as credenciais salvas da sessão podem ser carregadas
+app.get('/api/sessions/:id/health', async (req, res) => {
+    try {
+        const session = sessions.get(req.params.id);
+        if (!session) {
+            return res.status(404).json({ success: false, error: 'Sessão não encontrada' });
+        }
+
+        res.json({ session: session.id, status: session.status, ...await session.checkCredentials() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Exportar a autenticação em arquivo criptografado: { passphrase }
+app.post('/api/sessions/:id/export', async (req, res) => {
+    try {
+        const session = sessions.get(req.params.id);
+        if (!session) {
+            return res.status(404).json({ success: false, error: 'Sessão não encontrada' });
+        }
+
+        const archive = await session.exportCredentials(req.body.passphrase);
+        const fileName = `sessao-${session.id}-${new Date().toISOString().split('T')[0]}.wasession`;
+
+        addConnectionLog('Credenciais exportadas', session.id);
+        res.set({
+            'Content-Type': 'application/octet-stream',
+            'Content-Disposition': `attachment; filename="${fileName}"`
+        });
+        res.send(archive);
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// Importar a autenticação: { archive (base64), passphrase }
+app.post('/api/sessions/:id/import', async (req, res) => {
+    try {
+        const session = sessions.get(req.params.id);
+        if (!session) {
+            return res.status(404).json({ success: false, error: 'Sessão não encontrada' });
+        }
+        if (typeof req.body.archive !== 'string' || !req.body.archive) {
+            return res.status(400).json({ success: false, error: 'Arquivo de sessão não enviado' });
+        }
+
+        const health = await session.importCredentials(Buffer.from(req.body.archive, 'base64'), req.body.passphrase);
+        res.json({ success: true, health });
+    } catch (error) {
+        const status = /Desconecte/.test(error.message) ? 409 : 400;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+// Apagar a sessão (desvincula o aparelho e remove as credenciais)
+app.post('/api/sessions/:id/reset', async (req, res) => {
+    try {
+        const session = sessions.get(req.params.id);
+        if (!session) {
+            return res.status(404).json({ success: false, error: 'Sessão não encontrada' });
+        }
+
+        await stopSessionJobs(session.id);
+        await session.reset();
+        res.json({ success: true, message: 'Sessão apagada' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Status da conexão
+app.get('/api/connection/status', async (req, res) => {
+    const session = resolveSession(req, res);
+    if (!session) return;
+
+    const { maxAttempts } = await getReconnectSettings();
+
+    res.json({
+        session: session.id,
+        status: session.status,
+        qrCode: session.qrCode,
+        pairingCode: session.pairingCode,
+        loginMethod: session.pairingNumber ? 'pairing_code' : 'qr',
+        logs: connectionLogs.filter(log => !log.session || log.session === session.id).slice(0, 20),
+        reconnectAttempts: session.reconnect.attempts,
+        maxReconnectAttempts: maxAttempts,
+        nextRetryAt: session.reconnect.nextRetryAt
+    });
+});
+
+// Eventos em tempo real (Server-Sent Events)
+//
+// Ao conectar, o cliente recebe um "snapshot" com o estado atual e, se enviar
+// Last-Event-ID (o EventSource faz isso sozinho ao reconectar), os eventos
+// perdidos que ainda estiverem no buffer.
+app.get('/api/events', (req, res) => {
+    const sessionId = req.query.session || null;
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+    const matches = (event) => !sessionId || !event.data.session || event.data.session === sessionId;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    const snapshot = {
+        lastEventId: events.lastId,
+        sessions: sessions.list()
+            .filter(session => !sessionId || session.id === sessionId)
+            .map(session => ({ ...session.toJSON(), qrCode: session.qrCode, pairingCode: session.pairingCode })),
+        logs: connectionLogs.filter(log => !sessionId || !log.session || log.session === sessionId).slice(0, 20)
+    };
+    res.write(`event: snapshot\ndata: ${JSON.stringify(snapshot)}\n\n`);
+
+    events.since(lastEventId).filter(matches).forEach(event => res.write(formatSSE(event)));
+
+    const unsubscribe = events.subscribe(event => {
+        if (matches(event)) res.write(formatSSE(event));
+    });
+
+    // Comentário periódico para manter proxies e o navegador com a conexão aberta
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+// Conectar/Desconectar
+app.post('/api/connection/connect', async (req, res) => {
+    try {
+        const session = resolveSession(req, res);
+        if (!session) return;
+
+        if (session.status === 'disconnected' || session.status === 'error') {
+            const health = await session.checkCredentials();
+            if (health.exists && !health.valid) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Credenciais salvas inválidas. Importe um backup ou apague a sessão',
+                    problems: health.problems
+                });
+            }
+
+            session.reconnect.reset();
+            session.connect();
+            res.json({ success: true, message: 'Iniciando conexão...' });
+        } else {
+            res.json({ success: false, message: `Status atual: ${session.status}` });
+        }
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Conectar com código de pareamento (alternativa ao QR Code)
+app.post('/api/connection/pairing-code', async (req, res) => {
+    try {
+        const session = resolveSession(req, res);
+        if (!session) return;
+
+        const phoneNumber = typeof req.body.phoneNumber === 'string' ? req.body.phoneNumber : '';
+        if (!Utils.validateWhatsAppNumber(phoneNumber)) {
+            return res.status(400).json({ success: false, error: 'Número de telefone inválido. Informe DDI + DDD + número' });
+        }
+
+        const code = await session.requestPairingCode(phoneNumber.replace(/[^\d]/g, ''));
+        res.json({
+            success: true,
+            code,
+            formattedCode: code.match(/.{1,4}/g).join('-')
+        });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/connection/disconnect', async (req, res) => {
+    try {
+        const session = resolveSession(req, res);
+        if (!session) return;
+
+        await session.logout();
+        await stopSessionJobs(session.id);
+        
+        addConnectionLog('Desconectado manualmente', session.id);
+        
+        res.json({ success: true, message: 'Desconectado com sucesso' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Grupos
+app.get('/api/groups', async (req, res) => {
+    try {
+        const session = resolveSession(req, res);
+        if (!session) return;
+
+        const groups = await store.read('groups');
+        res.json(groups.filter(g => g.session === session.id));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/groups/refresh', async (req, res) => {
+    try {
+        const session = resolveSession(req, res);
+        if (!session) return;
+
+        if (!session.isConnected()) {
+            return res.status(400).json({ error: 'WhatsApp não conectado' });
+        }
+        
+        await updateGroupsList(session);
+        const groups = await store.read('groups');
+        res.json({ success: true, groups: groups.filter(g => g.session === session.id) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Campanhas
+// nextRuns = quantidade de próximas execuções calculadas para cada campanha (padrão 3)
+app.get('/api/campaigns', async (req, res) => {
+    try {
+        const campaigns = await store.read('campaigns');
+        const count = Math.min(Math.max(parseInt(req.query.nextRuns) || 3, 0), 20);
+        res.json(campaigns.map(campaign => ({ ...campaign, nextRuns: campaignNextRuns(campaign, count) })));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Validar variáveis personalizadas e variáveis usadas nas mensagens da campanha
+// (mensagem principal, variações e etapas)
+function validateCampaignTemplate(message, variables, otherMessages = []) {
+    const variablesValidation = templates.validateVariables(variables);
+    if (!variablesValidation.valid) {
+        return variablesValidation.errors;
+    }
+    return [message, ...otherMessages.filter(Boolean)]
+        .flatMap(text => templates.validateTemplate(text, variables).errors)
+        .filter((error, index, errors) => errors.indexOf(error) === index);
+}
+
+// Validar números de teste e deixar só os dígitos
+function parseTestNumbers(numbers) {
+    if (!Array.isArray(numbers)) {
+        return { numbers: [], errors: ['Números de teste devem ser uma lista'] };
+    }
+
+    const errors = numbers
+        .filter(number => typeof number !== 'string' || !Utils.validateWhatsAppNumber(number))
+        .map(number => `Número de teste inválido: ${number}. Informe DDI + DDD + número`);
+    const cleaned = numbers.filter(number => typeof number === 'string').map(number => number.replace(/[^\d]/g, ''));
+    return { numbers: [...new Set(cleaned)], errors };
+}
+
+// Campo booleano do formulário (multipart envia "true"/"false")
+function parseFlag(value) {
+    return value === true || value === 'true' || value === '1' || value === 'on';
+}
+
+// Mídia principal enviada no formulário (campo media, ou image no formato antigo);
+// mediaType força o tipo (ex.: sticker para um WEBP)
+function parseMainMedia(req) {
+    const file = req.files?.media?.[0] || req.files?.image?.[0];
+    return file ? media.describeUpload(file, req.body.mediaType) : null;
+}
+
+// Ler as variações do formulário: variants = JSON [{ message, media, mediaType }], em que
+// media é a posição do arquivo em variantMedia ou o caminho de uma mídia já
+// salva da própria campanha
+function parseVariants(req, existing = []) {
+    const list = JSON.parse(req.body.variants);
+    if (!Array.isArray(list)) return list;
+
+    return list.map(variant => ({
+        message: typeof variant?.message === 'string' ? variant.message.trim() : variant?.message,
+        media: resolveListMedia(variant, req.files?.variantMedia, existing)
+    }));
+}
+
+// Ler as etapas do formulário: steps = JSON [{ type, message, url, delay, media, mediaType }],
+// com os arquivos em stepMedia (mesmas regras das variações)
+function parseSteps(req, existing = []) {
+    const list = JSON.parse(req.body.steps);
+    if (!Array.isArray(list)) return list;
+
+    return list.map(step => ({
+        type: step?.type,
+        message: typeof step?.message === 'string' ? step.message.trim() : step?.message,
+        media: resolveListMedia(step, req.files?.stepMedia, existing),
+        url: typeof step?.url === 'string' ? step.url.trim() : undefined,
+        delay: step?.delay !== undefined ? Number(step.delay) : undefined
+    }));
+}
+
+// Mídia de um item de lista: arquivo novo (posição em files) ou mídia já salva no item existente
+function resolveListMedia(item, files = [], existing = []) {
+    if (Number.isInteger(item?.media) && files[item.media]) {
+        return media.describeUpload(files[item.media], item.mediaType);
+    }
+    if (typeof item?.media === 'string') {
+        return existing.find(saved => saved.media?.path === item.media)?.media || null;
+    }
+    return null;
+}
+
+// Erros do tipo da campanha: a enquete substitui a mensagem principal, sem mídia nem variações
+function validateCampaignType(campaign) {
+    const type = campaign.type || 'message';
+    if (!polls.CAMPAIGN_TYPES.includes(type)) {
+        return [`Tipo de campanha inválido: ${type} (use ${polls.CAMPAIGN_TYPES.join(' ou ')})`];
+    }
+    if (type !== 'poll') return [];
+
+    const errors = polls.validatePoll(campaign.poll).errors;
+    if (campaign.media) errors.push('Campanhas de enquete não usam mídia principal');
+    if (campaign.variants?.length) errors.push('Campanhas de enquete não usam variações');
+    if (campaign.mentionAll) errors.push('Campanhas de enquete não usam menção a todos');
+    return errors;
+}
+
+// Prioridade da campanha no despachante
+function validatePriority(priority) {
+    return PRIORITIES[priority] === undefined
+        ? [`Prioridade inválida: ${priority} (use ${Object.keys(PRIORITIES).join(', ')})`]
+        : [];
+}
+
+// Erros das mídias da mensagem principal (variações e etapas validam as suas)
+function validateMainMedia(campaign) {
+    return campaign.media ? media.validateMedia(campaign.media, 'Mídia principal').errors : [];
+}
+
+// Erros do conteúdo de uma campanha alterada; checkSchedule confere também agendamento e fuso
+function validateCampaignContent(campaign, { checkSchedule = true } = {}) {
+    const contentErrors = [
+        ...(checkSchedule ? Utils.validateSchedule(campaign.schedule, campaign.timezone).errors : []),
+        ...validateCampaignType(campaign),
+        ...validatePriority(campaign.priority),
+        ...validateMainMedia(campaign),
+        ...variants.validateVariants(campaign.variants, campaign.variantMode).errors,
+        ...steps.validateSteps(campaign.steps, campaign.onStepFailure).errors
+    ];
+    return contentErrors.length > 0 ? contentErrors : validateCampaignTemplate(
+        campaign.message,
+        campaign.variables,
+        [campaign.poll?.question, ...[...campaign.variants, ...campaign.steps].map(item => item.message)]
+    );
+}
+
+// Todos os arquivos de mídia usados por uma campanha
+function campaignFiles(campaign) {
+    return [
+        campaign.media,
+        ...(campaign.variants || []).map(v => v.media),
+        ...(campaign.steps || []).map(s => s.media)
+    ].filter(Boolean).map(attachment => attachment.path);
+}
+
+// Remover arquivos de mídia que deixaram de ser usados
+async function removeFiles(filePaths) {
+    for (const filePath of filePaths) {
+        try {
+            await fs.unlink(filePath);
+        } catch (error) {
+            console.error('Erro ao remover arquivo:', error);
+        }
+    }
+}
+
+// Quem fez a alteração: cabeçalho X-Editor ou campo editor do formulário
+function requestEditor(req) {
+    const editor = req.get('X-Editor') || req.body?.editor;
+    return typeof editor === 'string' && editor.trim() ? editor.trim().substring(0, 100) : null;
+}
+
+// Gravar a revisão atual de uma campanha no histórico
+async function recordRevision(campaign, options) {
+    const revision = revisions.createRevision(campaign, options);
+    try {
+        await store.append('campaignRevisions', revision);
+    } catch (error) {
+        console.error('Erro ao registrar revisão da campanha:', error);
+    }
+    return revision;
+}
+
+// Revisões de uma campanha, mais recentes primeiro
+async function campaignRevisions(campaignId, { limit = Infinity, offset = 0 } = {}) {
+    return store.query('campaignRevisions', { where: { campaignId }, limit, offset });
+}
+
+// Uma revisão específica de uma campanha
+async function findRevision(campaignId, revision) {
+    if (!Number.isInteger(revision)) return null;
+    const { items } = await store.query('campaignRevisions', { where: { campaignId, revision }, limit: 1 });
+    return items[0] || null;
+}
+
+// Campanha com o conteúdo de uma revisão (null se a revisão não for encontrada)
+// Execuções anteriores ao histórico de revisões (revision null) usam a campanha atual
+async function revisionContent(campaign, revision) {
+    if (revision === null || revision === undefined || revision === campaign.revision) return campaign;
+
+    const found = await findRevision(campaign.id, revision);
+    return found ? { ...campaign, ...found.content } : null;
+}
+
+// Arquivos de mídia de um conteúdo que não estão mais no disco
+async function missingFiles(content) {
+    const missing = [];
+    for (const filePath of campaignFiles(content)) {
+        try {
+            await fs.access(filePath);
+        } catch {
+            missing.push(filePath);
+        }
+    }
+    return missing;
+}
+
+// Copiar as mídias de um conteúdo para arquivos novos (cópia de campanha)
+async function copyCampaignMedia(content) {
+    const copies = new Map();
+    const copy = async (attachment) => {
+        if (!attachment) return null;
+        if (!copies.has(attachment.path)) {
+            const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+            const target = path.join(path.dirname(attachment.path), 'media-' + uniqueSuffix + path.extname(attachment.path));
+            await fs.copyFile(attachment.path, target);
+            copies.set(attachment.path, target);
+        }
+        return { ...attachment, path: copies.get(attachment.path) };
+    };
+
+    return {
+        ...content,
+        media: await copy(content.media),
+        variants: await Promise.all((content.variants || []).map(async variant => ({ ...variant, media: await copy(variant.media) }))),
+        steps: await Promise.all((content.steps || []).map(async step => ({ ...step, media: await copy(step.media) })))
+    };
+}
+
+// Campanhas anteriores ao histórico de revisões recebem a revisão inicial
+async function seedRevisions() {
+    const seeded = await store.update('campaigns', (campaigns) => {
+        const pending = campaigns.filter(campaign => campaign.revision === undefined);
+        pending.forEach(campaign => { campaign.revision = 1; });
+        return pending.map(campaign => ({ ...campaign }));
+    });
+
+    for (const campaign of seeded) {
+        await recordRevision(campaign, { action: 'initial' });
+    }
+    return seeded.length;
+}
+
+// Variáveis disponíveis nas mensagens
+app.get('/api/templates/variables', (req, res) => {
+    res.json(templates.BUILT_IN_VARIABLES);
+});
+
+app.post('/api/campaigns', campaignUpload, async (req, res) => {
+    try {
+        // Validar dados
+        const type = req.body.type || 'message';
+        if (!req.body.name || !req.body.targetGroups || !req.body.schedule || (!req.body.message && type !== 'poll')) {
+            return res.status(400).json({ error: 'Dados obrigatórios não fornecidos' });
+        }
+
+        const targetGroups = JSON.parse(req.body.targetGroups);
+        const schedule = JSON.parse(req.body.schedule);
+        const variables = req.body.variables ? JSON.parse(req.body.variables) : {};
+        const variantList = req.body.variants ? parseVariants(req) : [];
+        const variantMode = req.body.variantMode || 'random';
+        const stepList = req.body.steps ? parseSteps(req) : [];
+        const onStepFailure = req.body.onStepFailure || 'stop';
+        const mainMedia = parseMainMedia(req);
+        const poll = req.body.poll ? polls.normalizePoll(JSON.parse(req.body.poll)) : null;
+        const sessionId = req.body.session || DEFAULT_SESSION_ID;
+        const timezone = req.body.timezone || config.constants.DEFAULT_TIMEZONE;
+        const priority = req.body.priority || DEFAULT_PRIORITY;
+
+        if (!Array.isArray(targetGroups) || targetGroups.length === 0) {
+            return res.status(400).json({ error: 'Pelo menos um grupo deve ser selecionado' });
+        }
+
+        if (!sessions.get(sessionId)) {
+            return res.status(400).json({ error: `Sessão "${sessionId}" não encontrada` });
+        }
+
+        const scheduleValidation = Utils.validateSchedule(schedule, timezone);
+        if (!scheduleValidation.valid) {
+            return res.status(400).json({ error: scheduleValidation.errors.join('; '), errors: scheduleValidation.errors });
+        }
+
+        const contentErrors = [
+            ...validateCampaignType({ type, poll, media: mainMedia, variants: variantList, mentionAll: parseFlag(req.body.mentionAll) }),
+            ...validatePriority(priority),
+            ...validateMainMedia({ media: mainMedia }),
+            ...variants.validateVariants(variantList, variantMode).errors,
+            ...steps.validateSteps(stepList, onStepFailure).errors
+        ];
+        if (contentErrors.length > 0) {
+            return res.status(400).json({ error: contentErrors.join('; '), errors: contentErrors });
+        }
+
+        const templateErrors = validateCampaignTemplate(
+            req.body.message,
+            variables,
+            [poll?.question, ...[...variantList, ...stepList].map(item => item.message)]
+        );
+        if (templateErrors.length > 0) {
+            return res.status(400).json({ error: templateErrors.join('; '), errors: templateErrors });
+        }
+
+        const campaign = {
+            id: Date.now().toString(),
+            name: req.body.name.trim(),
+            type,
+            message: req.body.message?.trim() || '',
+            poll: type === 'poll' ? poll : null,
+            mentionAll: parseFlag(req.body.mentionAll),
+            variables,
+            media: mainMedia,
+            variants: variantList,
+            variantMode,
+            steps: stepList,
+            onStepFailure,
+            session: sessionId,
+            targetGroups: targetGroups,
+            schedule: schedule,
+            timezone,
+            priority,
+            status: 'active',
+            revision: 1,
+            createdAt: new Date().toISOString(),
+            stats: { totalSent: 0, totalFailed: 0, executions: [] }
+        };
+
+        await store.update('campaigns', (campaigns) => {
+            campaigns.push(campaign);
+        });
+        await recordRevision(campaign, { action: 'create', editor: requestEditor(req) });
+        await updateStatistics('campaign');
+        
+        // Agendar se necessário
+        if (schedule.type !== 'now') {
+            scheduleCampaign(campaign);
+        } else {
+            // Executar imediatamente
+            setTimeout(() => executeCampaign(campaign), 1000);
+        }
+        
+        res.json({ success: true, campaign });
+    } catch (error) {
+        console.error('Erro ao criar campanha:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/api/campaigns/:id', campaignUpload, async (req, res) => {
+    try {
+        const targetGroups = req.body.targetGroups ? JSON.parse(req.body.targetGroups) : null;
+        const schedule = req.body.schedule ? JSON.parse(req.body.schedule) : null;
+        const variables = req.body.variables ? JSON.parse(req.body.variables) : null;
+        let templateErrors = [];
+        let changed = false;
+
+        if (req.body.session && !sessions.get(req.body.session)) {
+            return res.status(400).json({ error: `Sessão "${req.body.session}" não encontrada` });
+        }
+
+        const updatedCampaign = await store.update('campaigns', (campaigns) => {
+            const index = campaigns.findIndex(c => c.id === req.params.id);
+            if (index === -1) return null;
+
+            const previous = campaigns[index];
+            const updated = {
+                ...previous,
+                name: req.body.name?.trim() || campaigns[index].name,
+                message: req.body.message?.trim() || campaigns[index].message,
+                variables: variables || campaigns[index].variables || {},
+                variants: req.body.variants ? parseVariants(req, previous.variants) : (previous.variants || []),
+                variantMode: req.body.variantMode || previous.variantMode || 'random',
+                steps: req.body.steps ? parseSteps(req, previous.steps) : (previous.steps || []),
+                onStepFailure: req.body.onStepFailure || previous.onStepFailure || 'stop',
+                media: parseMainMedia(req) || previous.media || null,
+                type: req.body.type || previous.type || 'message',
+                poll: req.body.poll ? polls.normalizePoll(JSON.parse(req.body.poll)) : (previous.poll || null),
+                mentionAll: req.body.mentionAll !== undefined ? parseFlag(req.body.mentionAll) : Boolean(previous.mentionAll),
+                session: req.body.session || campaigns[index].session,
+                targetGroups: targetGroups || campaigns[index].targetGroups,
+                schedule: schedule || campaigns[index].schedule,
+                timezone: req.body.timezone || campaignTimezone(previous),
+                priority: req.body.priority || previous.priority || DEFAULT_PRIORITY,
+                updatedAt: new Date().toISOString()
+            };
+
+            // Agendamento e fuso são conferidos juntos quando um dos dois muda
+            templateErrors = validateCampaignContent(updated, { checkSchedule: Boolean(schedule || req.body.timezone) });
+            if (templateErrors.length > 0) return previous;
+
+            // Sem diferença em relação à revisão atual: nada muda e nenhuma revisão é criada
+            changed = revisions.diffContent(revisions.snapshot(previous), revisions.snapshot(updated)).length > 0;
+            if (!changed) return previous;
+            updated.revision = (previous.revision || 1) + 1;
+
+            // As mídias substituídas continuam no disco para as revisões anteriores
+            campaigns[index] = updated;
+            return updated;
+        });
+
+        if (!updatedCampaign) {
+            return res.status(404).json({ error: 'Campanha não encontrada' });
+        }
+
+        if (templateErrors.length > 0) {
+            return res.status(400).json({ error: templateErrors.join('; '), errors: templateErrors });
+        }
+
+        if (changed) {
+            await recordRevision(updatedCampaign, { action: 'update', editor: requestEditor(req) });
+
+            // Reagendar
+            if (updatedCampaign.status === 'active') {
+                scheduleCampaign(updatedCampaign);
+            }
+        }
+        
+        res.json({ success: true, campaign: updatedCampaign });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.patch('/api/campaigns/:id/status', async (req, res) => {
+    try {
+        const campaign = await store.update('campaigns', (campaigns) => {
+            const current = campaigns.find(c => c.id === req.params.id);
+            if (!current) return null;
+
+            current.status = req.body.status;
+            current.updatedAt = new Date().toISOString();
+            return current;
+        });
+
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campanha não encontrada' });
+        }
+        
+        // Reagendar ou parar
+        if (req.body.status === 'active') {
+            scheduleCampaign(campaign);
+        } else if (scheduledJobs.has(req.params.id)) {
+            scheduledJobs.get(req.params.id).stop();
+            scheduledJobs.delete(req.params.id);
+        }
+
+        // Execuções em andamento acompanham a pausa e a reativação da campanha
+        if (req.body.status === 'paused') {
+            await controlCampaignExecutions(campaign.id, 'pause');
+        } else if (req.body.status === 'active') {
+            await controlCampaignExecutions(campaign.id, 'resume');
+        }
+        
+        res.json({ success: true, campaign });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/campaigns/:id', async (req, res) => {
     try {
-        if (campaign.status !== 'active' || connectionStatus !== 'connected') {
-            addConnectionLog(`Campanha "${campaign.name}" não executada - status: ${campaign.status}, conexão: ${connectionStatus}`);
-            return;
-        }
+        const removed = await store.update('campaigns', (campaigns) => {
+            const index = campaigns.findIndex(c => c.id === req.params.id);
+            if (index === -1) return null;
 
-        addConnectionLog(`Iniciando execução da campanha: ${campaign.name}`);
-        
-        const groups = await readData('groups');
-        let successCount = 0;
-        let failureCount = 0;
-
-        for (const groupId of campaign.targetGroups) {
-            const group = groups.find(g => g.id === groupId);
-            if (!group) {
-                failureCount++;
-                continue;
-            }
+            return campaigns.splice(index, 1)[0];
+        });
 
-            try {
-                await sendMessage(groupId, campaign.message, campaign.imagePath);
-                successCount++;
-                addConnectionLog(`Mensagem enviada para: ${group.name}`);
-                
-                // Delay entre envios para evitar spam
-                await new Promise(resolve => setTimeout(resolve, 3000));
-                
-            } catch (error) {
-                failureCount++;
-                addConnectionLog(`Erro ao enviar para ${group.name}: ${error.message}`);
-            }
+        if (!removed) {
+            return res.status(404).json({ error: 'Campanha não encontrada' });
         }
 
-        // Atualizar estatísticas da campanha
-        const campaigns = await readData('campaigns');
-        const campaignIndex = campaigns.findIndex(c => c.id === campaign.id);
-        if (campaignIndex !== -1) {
-            if (!campaigns[campaignIndex].stats) {
-                campaigns[campaignIndex].stats = { totalSent: 0, totalFailed: 0, executions: [] };
-            }
-            
-            campaigns[campaignIndex].stats.totalSent += successCount;
-            campaigns[campaignIndex].stats.totalFailed += failureCount;
-            campaigns[campaignIndex].stats.executions.push({
-                datetime: new Date().toISOString(),
-                sent: successCount,
-                failed: failureCount
-            });
-
-            // Manter apenas as últimas 10 execuções
-            if (campaigns[campaignIndex].stats.executions.length > 10) {
-                campaigns[campaignIndex].stats.executions = campaigns[campaignIndex].stats.executions.slice(-10);
-            }
+        // Remover mídias da campanha e das revisões anteriores que nenhuma outra campanha usa
+        const { items: history } = await campaignRevisions(removed.id);
+        const inUse = new Set((await store.read('campaigns')).flatMap(campaignFiles));
+        const filePaths = new Set([removed, ...history.map(revision => revision.content)].flatMap(campaignFiles));
+        await removeFiles([...filePaths].filter(filePath => !inUse.has(filePath)));
 
-            await writeData('campaigns', campaigns);
+        // Parar agendamento
+        if (scheduledJobs.has(req.params.id)) {
+            scheduledJobs.get(req.params.id).stop();
+            scheduledJobs.delete(req.params.id);
         }
 
-        addConnectionLog(`Campanha "${campaign.name}" concluída: ${successCount} enviados, ${failureCount} falharam`);
+        await controlCampaignExecutions(removed.id, 'cancel');
 
+        res.json({ success: true });
     } catch (error) {
-        console.error('Erro na execução da campanha:', error);
-        addConnectionLog(`Erro na execução da campanha "${campaign.name}": ${error.message}`);
+        res.status(500).json({ error: error.message });
     }
-}
-
-// Middleware para tratamento de erros
-app.use((error, req, res, next) => {
-    console.error('Erro no servidor:', error);
-    res.status(500).json({ 
-        success: false, 
-        error: 'Erro interno do servidor',
-        details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
-});
-
-// Rotas da API
-
-// Status da conexão
-app.get('/api/connection/status', (req, res) => {
-    res.json({
-        status: connectionStatus,
-        qrCode: qrCodeData,
-        logs: connectionLogs.slice(0, 20),
-        reconnectAttempts,
-        maxReconnectAttempts
-    });
 });
 
-// Conectar/Desconectar
-app.post('/api/connection/connect', async (req, res) => {
+// Histórico de revisões de uma campanha, mais recentes primeiro, com os campos alterados em cada uma
+app.get('/api/campaigns/:id/revisions', async (req, res) => {
     try {
-        if (connectionStatus === 'disconnected' || connectionStatus === 'error') {
-            reconnectAttempts = 0;
-            connectToWhatsApp();
-            res.json({ success: true, message: 'Iniciando conexão...' });
-        } else {
-            res.json({ success: false, message: `Status atual: ${connectionStatus}` });
+        const campaigns = await store.read('campaigns');
+        const campaign = campaigns.find(c => c.id === req.params.id);
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campanha não encontrada' });
         }
-    } catch (error) {
-        res.status(500).json({ success: false, message: error.message });
-    }
-});
 
-app.post('/api/connection/disconnect', async (req, res) => {
-    try {
-        if (sock) {
-            await sock.logout();
-        }
-        
-        // Parar todos os jobs agendados
-        for (const job of scheduledJobs.values()) {
-            job.stop();
-        }
-        scheduledJobs.clear();
-        
-        connectionStatus = 'disconnected';
-        qrCodeData = '';
-        reconnectAttempts = 0;
-        addConnectionLog('Desconectado manualmente');
-        
-        res.json({ success: true, message: 'Desconectado com sucesso' });
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const { total, items } = await campaignRevisions(campaign.id);
+        const byNumber = new Map(items.map(item => [item.revision, item]));
+
+        res.json({
+            total,
+            current: campaign.revision ?? null,
+            revisions: items.slice(offset, offset + limit).map(({ content, ...revision }) => ({
+                ...revision,
+                changedFields: revisions.diffContent(byNumber.get(revision.revision - 1)?.content || null, content)
+                    .map(change => change.field)
+            }))
+        });
     } catch (error) {
-        res.status(500).json({ success: false, message: error.message });
+        res.status(500).json({ error: error.message });
     }
 });
 
-// Grupos
-app.get('/api/groups', async (req, res) => {
+// Conteúdo completo de uma revisão
+app.get('/api/campaigns/:id/revisions/:revision', async (req, res) => {
     try {
-        const groups = await readData('groups');
-        res.json(groups);
+        const revision = await findRevision(req.params.id, parseInt(req.params.revision));
+        if (!revision) {
+            return res.status(404).json({ error: 'Revisão não encontrada' });
+        }
+        res.json(revision);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-app.post('/api/groups/refresh', async (req, res) => {
+// Diferenças de uma revisão: em relação a ?against=N (padrão: a revisão anterior)
+// ou ao conteúdo atual da campanha com ?against=current
+app.get('/api/campaigns/:id/revisions/:revision/diff', async (req, res) => {
     try {
-        if (connectionStatus !== 'connected') {
-            return res.status(400).json({ error: 'WhatsApp não conectado' });
+        const number = parseInt(req.params.revision);
+        const revision = await findRevision(req.params.id, number);
+        if (!revision) {
+            return res.status(404).json({ error: 'Revisão não encontrada' });
         }
-        
-        await updateGroupsList();
-        const groups = await readData('groups');
-        res.json({ success: true, groups });
+
+        // Com against=current, as mudanças são o que a restauração da revisão alteraria
+        let against = 'current';
+        let base;
+        if (req.query.against === 'current') {
+            const campaign = (await store.read('campaigns')).find(c => c.id === req.params.id);
+            if (!campaign) {
+                return res.status(404).json({ error: 'Campanha não encontrada' });
+            }
+            base = revisions.snapshot(campaign);
+        } else {
+            const other = await findRevision(req.params.id, req.query.against !== undefined ? parseInt(req.query.against) : number - 1);
+            if (!other && req.query.against !== undefined) {
+                return res.status(404).json({ error: `Revisão ${req.query.against} não encontrada` });
+            }
+            // A primeira revisão é comparada com uma campanha vazia
+            against = other?.revision ?? null;
+            base = other?.content || null;
+        }
+
+        res.json({
+            campaignId: revision.campaignId,
+            revision: number,
+            against,
+            changes: revisions.diffContent(base, revision.content)
+        });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Campanhas
-app.get('/api/campaigns', async (req, res) => {
+// Restaurar uma revisão: o conteúdo dela vira uma nova revisão da campanha
+app.post('/api/campaigns/:id/revisions/:revision/rollback', async (req, res) => {
     try {
-        const campaigns = await readData('campaigns');
-        res.json(campaigns);
+        const number = parseInt(req.params.revision);
+        const revision = await findRevision(req.params.id, number);
+        if (!revision) {
+            return res.status(404).json({ error: 'Revisão não encontrada' });
+        }
+
+        const content = revision.content;
+        if (!sessions.get(content.session)) {
+            return res.status(400).json({ error: `Sessão "${content.session}" não encontrada` });
+        }
+        const missing = await missingFiles(content);
+        if (missing.length > 0) {
+            return res.status(409).json({ error: `Mídias da revisão ${number} não estão mais disponíveis: ${missing.join(', ')}` });
+        }
+
+        let errors = [];
+        const restored = await store.update('campaigns', (campaigns) => {
+            const index = campaigns.findIndex(c => c.id === req.params.id);
+            if (index === -1) return null;
+
+            const previous = campaigns[index];
+            const updated = {
+                ...previous,
+                ...content,
+                revision: (previous.revision || 1) + 1,
+                updatedAt: new Date().toISOString()
+            };
+            const scheduleChanged = JSON.stringify([previous.schedule, campaignTimezone(previous)]) !==
+                JSON.stringify([updated.schedule, campaignTimezone(updated)]);
+            errors = validateCampaignContent(updated, { checkSchedule: scheduleChanged });
+            if (errors.length > 0) return previous;
+
+            campaigns[index] = updated;
+            return updated;
+        });
+
+        if (!restored) {
+            return res.status(404).json({ error: 'Campanha não encontrada' });
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('; '), errors });
+        }
+
+        await recordRevision(restored, { action: 'rollback', editor: requestEditor(req), restoredFrom: number });
+        addConnectionLog(`Campanha "${restored.name}" restaurada para a revisão ${number} (nova revisão ${restored.revision})`);
+
+        if (restored.status === 'active') {
+            scheduleCampaign(restored);
+        }
+
+        res.json({ success: true, campaign: restored });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-app.post('/api/campaigns', upload.single('image'), async (req, res) => {
+// Duplicar uma campanha com cópias das mídias: { name } (padrão: "<nome> (cópia)")
+// A cópia começa pausada, com estatísticas zeradas e no histórico a partir da revisão 1
+app.post('/api/campaigns/:id/duplicate', async (req, res) => {
     try {
-        const campaigns = await readData('campaigns');
-        
-        // Validar dados
-        if (!req.body.name || !req.body.message || !req.body.targetGroups || !req.body.schedule) {
-            return res.status(400).json({ error: 'Dados obrigatórios não fornecidos' });
+        const campaigns = await store.read('campaigns');
+        const source = campaigns.find(c => c.id === req.params.id);
+        if (!source) {
+            return res.status(404).json({ error: 'Campanha não encontrada' });
         }
 
-        const targetGroups = JSON.parse(req.body.targetGroups);
-        const schedule = JSON.parse(req.body.schedule);
-
-        if (!Array.isArray(targetGroups) || targetGroups.length === 0) {
-            return res.status(400).json({ error: 'Pelo menos um grupo deve ser selecionado' });
+        const content = revisions.snapshot(source);
+        const missing = await missingFiles(content);
+        if (missing.length > 0) {
+            return res.status(409).json({ error: `Mídias da campanha não estão mais disponíveis: ${missing.join(', ')}` });
         }
 
+        const name = typeof req.body.name === 'string' && req.body.name.trim()
+            ? req.body.name.trim()
+            : `${source.name} (cópia)`;
         const campaign = {
             id: Date.now().toString(),
-            name: req.body.name.trim(),
-            message: req.body.message.trim(),
-            imagePath: req.file ? req.file.path : null,
-            targetGroups: targetGroups,
-            schedule: schedule,
-            status: 'active',
+            ...(await copyCampaignMedia(content)),
+            name,
+            status: 'paused',
+            revision: 1,
             createdAt: new Date().toISOString(),
             stats: { totalSent: 0, totalFailed: 0, executions: [] }
         };
 
-        campaigns.push(campaign);
-        await writeData('campaigns', campaigns);
+        await store.update('campaigns', (list) => {
+            list.push(campaign);
+        });
+        await recordRevision(campaign, {
+            action: 'duplicate',
+            editor: requestEditor(req),
+            duplicatedFrom: { campaignId: source.id, revision: source.revision ?? null }
+        });
         await updateStatistics('campaign');
-        
-        // Agendar se necessário
-        if (schedule.type !== 'now') {
-            scheduleCampaign(campaign);
-        } else {
-            // Executar imediatamente
-            setTimeout(() => executeCampaign(campaign), 1000);
-        }
-        
+        addConnectionLog(`Campanha "${source.name}" duplicada como "${campaign.name}"`);
+
         res.json({ success: true, campaign });
     } catch (error) {
-        console.error('Erro ao criar campanha:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-app.put('/api/campaigns/:id', upload.single('image'), async (req, res) => {
+// Enviar a campanha para números de teste: { numbers, variant } (padrão: settings.testNumbers)
+app.post('/api/campaigns/:id/test-send', async (req, res) => {
     try {
-        const campaigns = await readData('campaigns');
-        const index = campaigns.findIndex(c => c.id === req.params.id);
-        
-        if (index === -1) {
-            return res.status(404).json({ error: 'Campanha não encontrada' });
+        const campaigns = await store.read('campaigns');
+        const campaign = campaigns.find(c => c.id === req.params.id);
+        if (!campaign) {
+            return res.status(404).json({ success: false, error: 'Campanha não encontrada' });
         }
 
-        const updatedCampaign = {
-            ...campaigns[index],
-            name: req.body.name?.trim() || campaigns[index].name,
-            message: req.body.message?.trim() || campaigns[index].message,
-            targetGroups: req.body.targetGroups ? JSON.parse(req.body.targetGroups) : campaigns[index].targetGroups,
-            schedule: req.body.schedule ? JSON.parse(req.body.schedule) : campaigns[index].schedule,
-            updatedAt: new Date().toISOString()
-        };
+        const settings = await store.read('settings');
+        const { numbers, errors } = parseTestNumbers(req.body.numbers ?? settings.testNumbers ?? []);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: errors.join('; '), errors });
+        }
+        if (numbers.length === 0) {
+            return res.status(400).json({ success: false, error: 'Nenhum número de teste informado ou configurado' });
+        }
 
-        if (req.file) {
-            // Remover imagem antiga se existir
-            if (campaigns[index].imagePath) {
-                try {
-                    await fs.unlink(campaigns[index].imagePath);
-                } catch (error) {
-                    console.error('Erro ao remover imagem antiga:', error);
-                }
-            }
-            updatedCampaign.imagePath = req.file.path;
+        const variant = req.body.variant !== undefined ? parseInt(req.body.variant) : 0;
+        const variantCount = variants.listVariants(campaign).length;
+        if (!Number.isInteger(variant) || variant < 0 || variant >= variantCount) {
+            return res.status(400).json({ success: false, error: `Variação inválida (0 a ${variantCount - 1})` });
         }
 
-        campaigns[index] = updatedCampaign;
-        await writeData('campaigns', campaigns);
-        
-        // Reagendar
-        if (updatedCampaign.status === 'active') {
-            scheduleCampaign(updatedCampaign);
+        const session = sessions.get(campaign.session || DEFAULT_SESSION_ID);
+        if (!session || !session.isConnected()) {
+            return res.status(400).json({ success: false, error: 'WhatsApp não conectado' });
         }
-        
-        res.json({ success: true, campaign: updatedCampaign });
+
+        const results = await sendCampaignTest(campaign, session, numbers, { variant });
+        res.json({ success: results.every(result => result.status === 'sent'), results });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Prévia da execução de uma campanha, sem enviar mensagens
+app.post('/api/campaigns/:id/dry-run', async (req, res) => {
+    try {
+        const campaigns = await store.read('campaigns');
+        const campaign = campaigns.find(c => c.id === req.params.id);
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campanha não encontrada' });
+        }
+
+        const nextRuns = Math.min(Math.max(parseInt(req.query.nextRuns) || 5, 1), 20);
+        res.json(await previewCampaign(campaign, { nextRuns }));
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-app.patch('/api/campaigns/:id/status', async (req, res) => {
+// Resultado das enquetes de uma campanha (total e por grupo)
+app.get('/api/campaigns/:id/poll-results', async (req, res) => {
     try {
-        const campaigns = await readData('campaigns');
-        const index = campaigns.findIndex(c => c.id === req.params.id);
-        
-        if (index === -1) {
+        const campaigns = await store.read('campaigns');
+        const campaign = campaigns.find(c => c.id === req.params.id);
+        if (!campaign) {
             return res.status(404).json({ error: 'Campanha não encontrada' });
         }
 
-        campaigns[index].status = req.body.status;
-        campaigns[index].updatedAt = new Date().toISOString();
-        
-        await writeData('campaigns', campaigns);
-        
-        // Reagendar ou parar
-        if (req.body.status === 'active') {
-            scheduleCampaign(campaigns[index]);
-        } else if (scheduledJobs.has(req.params.id)) {
-            scheduledJobs.get(req.params.id).stop();
-            scheduledJobs.delete(req.params.id);
+        const where = { campaignId: campaign.id };
+        if (req.query.executionId) where.executionId = req.query.executionId;
+
+        const [sent, votes] = await Promise.all([
+            store.query('polls', { where, limit: Infinity }),
+            store.query('pollVotes', { where, limit: Infinity })
+        ]);
+        if (sent.total === 0 && campaign.type !== 'poll') {
+            return res.status(400).json({ error: 'A campanha não enviou enquetes' });
         }
-        
-        res.json({ success: true, campaign: campaigns[index] });
+
+        const groups = await store.read('groups');
+        const options = campaign.poll?.options || sent.items[0]?.options || [];
+
+        res.json({
+            campaignId: campaign.id,
+            question: campaign.poll?.question || sent.items[0]?.question || null,
+            multiSelect: Boolean(campaign.poll?.multiSelect),
+            polls: sent.total,
+            ...polls.tallyVotes(options, votes.items),
+            groups: sent.items.map(record => ({
+                groupId: record.groupId,
+                groupName: groups.find(g => g.id === record.groupId && g.session === record.session)?.name || null,
+                executionId: record.executionId,
+                messageId: record.messageId,
+                sentAt: record.timestamp,
+                ...polls.tallyVotes(record.options, votes.items.filter(vote => vote.messageId === record.messageId))
+            }))
+        });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-app.delete('/api/campaigns/:id', async (req, res) => {
+// Histórico de entregas
+app.get('/api/deliveries', async (req, res) => {
     try {
-        const campaigns = await readData('campaigns');
-        const index = campaigns.findIndex(c => c.id === req.params.id);
-        
-        if (index === -1) {
-            return res.status(404).json({ error: 'Campanha não encontrada' });
+        const { campaignId, executionId, groupId, status, variant, step } = req.query;
+        const where = {};
+        if (campaignId) where.campaignId = campaignId;
+        for (const [field, value] of Object.entries({ variant, step })) {
+            if (value === undefined) continue;
+            if (!/^\d+$/.test(value)) {
+                return res.status(400).json({ error: `"${field}" deve ser um número inteiro não negativo` });
+            }
+            where[field] = parseInt(value);
+        }
+        if (executionId) where.executionId = executionId;
+        if (groupId) where.groupId = groupId;
+        if (status) {
+            if (!['sent', 'failed', 'skipped'].includes(status)) {
+                return res.status(400).json({ error: 'Status inválido (sent, failed ou skipped)' });
+            }
+            where.status = status;
         }
 
-        // Remover imagem se existir
-        if (campaigns[index].imagePath) {
-            try {
-                await fs.unlink(campaigns[index].imagePath);
-            } catch (error) {
-                console.error('Erro ao remover imagem:', error);
+        const range = {};
+        for (const field of ['from', 'to']) {
+            if (!req.query[field]) continue;
+            const date = new Date(req.query[field]);
+            if (isNaN(date.getTime())) {
+                return res.status(400).json({ error: `Data inválida em "${field}"` });
             }
+            // Data sem horário em "to" inclui o dia inteiro
+            if (field === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+                date.setUTCHours(23, 59, 59, 999);
+            }
+            range[field] = date.toISOString();
         }
 
-        // Parar agendamento
-        if (scheduledJobs.has(req.params.id)) {
-            scheduledJobs.get(req.params.id).stop();
-            scheduledJobs.delete(req.params.id);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+        const result = await store.query('deliveries', { where, ...range, limit, offset });
+        res.json({ ...result, limit, offset });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Situação do despachante: execuções rodando, na fila e envios aguardando a vez
+app.get('/api/queue', (req, res) => {
+    res.json(dispatcher.snapshot());
+});
+
+// Execuções de campanhas na fila de envios (sem os jobs; detalhes em /api/executions/:id)
+app.get('/api/executions', async (req, res) => {
+    try {
+        const { status, campaignId, session } = req.query;
+        if (status && !EXECUTION_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Status inválido (${EXECUTION_STATUSES.join(' ou ')})` });
         }
 
-        campaigns.splice(index, 1);
-        await writeData('campaigns', campaigns);
-        
-        res.json({ success: true });
+        const executions = await sendQueue.list({ status, campaignId, session });
+        res.json(executions.map(({ jobs, ...execution }) => ({ ...execution, ...summarize({ jobs }) })));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/executions/:id', async (req, res) => {
+    try {
+        const execution = await sendQueue.get(req.params.id);
+        if (!execution) {
+            return res.status(404).json({ error: 'Execução não encontrada' });
+        }
+
+        res.json({ ...execution, ...summarize(execution) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Controles de uma execução: de onde cada ação pode partir e o novo status
+const EXECUTION_ACTIONS = {
+    pause: { from: ['running'], status: 'paused', label: 'pausada' },
+    resume: { from: ['paused'], status: 'running', label: 'retomada' },
+    cancel: { from: ['running', 'paused'], status: 'cancelled', label: 'cancelada' }
+};
+
+/**
+ * Pausar, retomar ou cancelar uma execução
+ *
+ * A pausa e o cancelamento valem a partir do próximo envio (ou da próxima
+ * etapa da sequência em andamento). Ao cancelar, os grupos restantes são
+ * registrados como ignorados.
+ * @param {string} executionId - Id da execução
+ * @param {string} action - pause, resume ou cancel
+ * @returns {Promise<Object|null>} Resultado de sendQueue.setStatus ou null se não existir
+ */
+async function controlExecution(executionId, action) {
+    const { from, status, label } = EXECUTION_ACTIONS[action];
+    const result = await sendQueue.setStatus(executionId, status, from);
+    if (!result || !result.changed) return result;
+
+    const { execution, skipped } = result;
+    for (const job of skipped) {
+        await reportDelivery(execution, {
+            campaignId: execution.campaignId,
+            executionId,
+            groupId: job.groupId,
+            status: 'skipped',
+            error: job.error
+        }, job.position);
+    }
+
+    events.publish('execution-status', {
+        session: execution.session,
+        campaignId: execution.campaignId,
+        executionId,
+        status,
+        ...summarize(execution)
+    });
+    addConnectionLog(`Execução da campanha "${execution.campaignName}" ${label}`, execution.session);
+
+    const campaign = (await store.read('campaigns')).find(c => c.id === execution.campaignId);
+    if (action === 'resume') {
+        dispatchExecution(execution, campaign);
+    } else if (action === 'cancel' && !dispatcher.has(executionId)) {
+        // Pausada (fora do despachante): ninguém mais vai encerrá-la
+        await finishExecution(executionId, campaign);
+    }
+    return result;
+}
+
+// Aplicar uma ação às execuções em aberto de uma campanha
+async function controlCampaignExecutions(campaignId, action) {
+    const { from } = EXECUTION_ACTIONS[action];
+    const executions = await sendQueue.list({ campaignId });
+    for (const execution of executions.filter(e => from.includes(e.status))) {
+        await controlExecution(execution.id, action);
+    }
+}
+
+app.post('/api/executions/:id/:action(pause|resume|cancel)', async (req, res) => {
+    try {
+        const result = await controlExecution(req.params.id, req.params.action);
+        if (!result) {
+            return res.status(404).json({ error: 'Execução não encontrada' });
+        }
+        if (!result.changed) {
+            return res.status(409).json({ error: `Execução está com status "${result.previous}"` });
+        }
+
+        res.json({ success: true, execution: { ...result.execution, ...summarize(result.execution) } });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -778,7 +2412,7 @@ app.delete('/api/campaigns/:id', async (req, res) => {
 // Estatísticas
 app.get('/api/statistics', async (req, res) => {
     try {
-        const stats = await readData('statistics');
+        const stats = await store.read('statistics');
         res.json(stats);
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -788,7 +2422,7 @@ app.get('/api/statistics', async (req, res) => {
 // Configurações
 app.get('/api/settings', async (req, res) => {
     try {
-        const settings = await readData('settings');
+        const settings = await store.read('settings');
         res.json(settings);
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -797,13 +2431,110 @@ app.get('/api/settings', async (req, res) => {
 
 app.put('/api/settings', async (req, res) => {
     try {
-        await writeData('settings', req.body);
+        if (req.body.testNumbers !== undefined) {
+            const { numbers, errors } = parseTestNumbers(req.body.testNumbers);
+            if (errors.length > 0) {
+                return res.status(400).json({ error: errors.join('; '), errors });
+            }
+            req.body.testNumbers = numbers;
+        }
+
+        await store.write('settings', req.body);
         res.json({ success: true });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// Controle do WhatsApp simulado (apenas com MOCK_WHATSAPP=true e ENABLE_TEST_MODE=true)
+if (config.development.enableTestMode && transport.name === 'mock') {
+    app.get('/api/dev/mock', (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        res.json({
+            groups: transport.groups,
+            failures: transport.failures,
+            sent: transport.sent.slice(0, limit)
+        });
+    });
+
+    // Substituir os grupos simulados: { groups: [...] } ou { count: n }
+    app.put('/api/dev/mock/groups', async (req, res) => {
+        try {
+            if (Array.isArray(req.body.groups)) {
+                transport.setGroups(req.body.groups);
+            } else if (Number.isInteger(req.body.count) && req.body.count >= 0) {
+                transport.setGroups(req.body.count);
+            } else {
+                return res.status(400).json({ success: false, error: 'Informe groups (lista) ou count (número)' });
+            }
+
+            for (const session of sessions.list().filter(s => s.isConnected())) {
+                await updateGroupsList(session);
+            }
+            res.json({ success: true, groups: transport.groups });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Configurar falhas de envio: { rate, next, groups }
+    app.put('/api/dev/mock/failures', (req, res) => {
+        transport.setFailures(req.body);
+        res.json({ success: true, failures: transport.failures });
+    });
+
+    // Simular a leitura do QR Code / digitação do código de pareamento
+    app.post('/api/dev/mock/scan', async (req, res) => {
+        const session = resolveSession(req, res);
+        if (!session) return;
+
+        if (!session.sock || session.isConnected()) {
+            return res.status(400).json({ success: false, error: 'A sessão não está aguardando login' });
+        }
+
+        try {
+            await session.sock.simulateScan(req.body.phoneNumber);
+            res.json({ success: true });
+        } catch (error) {
+            // Falha ao gravar as credenciais simuladas
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Simular uma desconexão: { statusCode } (padrão: conexão perdida)
+    app.post('/api/dev/mock/disconnect', (req, res) => {
+        const session = resolveSession(req, res);
+        if (!session) return;
+
+        if (!session.sock) {
+            return res.status(400).json({ success: false, error: 'Sessão sem conexão ativa' });
+        }
+
+        session.sock.simulateDisconnect(req.body.statusCode);
+        res.json({ success: true });
+    });
+
+    // Simular o voto de um participante: { messageId, options, voter }
+    app.post('/api/dev/mock/vote', async (req, res) => {
+        const session = resolveSession(req, res);
+        if (!session) return;
+
+        if (!session.isConnected()) {
+            return res.status(400).json({ success: false, error: 'Sessão sem conexão ativa' });
+        }
+
+        try {
+            const result = await session.sock.simulateVote(req.body.messageId, {
+                voter: req.body.voter,
+                options: Array.isArray(req.body.options) ? req.body.options : []
+            });
+            res.json({ success: true, ...result });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+}
+
 // Rota principal
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -815,7 +2546,8 @@ app.get('/health', (req, res) => {
         status: 'ok',
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
-        connection: connectionStatus,
+        connection: sessions.get(DEFAULT_SESSION_ID)?.status,
+        sessions: Object.fromEntries(sessions.list().map(session => [session.id, session.status])),
         campaigns: scheduledJobs.size
     });
 });
@@ -824,6 +2556,7 @@ app.get('/health', (req, res) => {
 async function startServer() {
     try {
         await initializeDataStructure();
+        await sessions.init();
         
         // Criar diretórios necessários
         const dirs = ['uploads', 'auth_info', 'logs'];
@@ -836,8 +2569,20 @@ async function startServer() {
             }
         }
         
+        // Envios interrompidos continuam quando a sessão conectar
+        const reconciled = await reconcileExecutions();
+        const interrupted = await sendQueue.list({ status: 'running' });
+        if (interrupted.length > 0) {
+            console.log(`${interrupted.length} execução(ões) de campanha a retomar (${reconciled.length} envio(s) em andamento resolvido(s))`);
+        }
+
+        const seeded = await seedRevisions();
+        if (seeded > 0) {
+            console.log(`Revisão inicial registrada para ${seeded} campanha(s)`);
+        }
+
         // Recarregar campanhas agendadas
-        const campaigns = await readData('campaigns');
+        const campaigns = await store.read('campaigns');
         const activeCampaigns = campaigns.filter(c => c.status === 'active');
         activeCampaigns.forEach(campaign => {
             try {
@@ -855,13 +2600,25 @@ async function startServer() {
             console.log(`📡 Servidor rodando na porta: ${PORT}`);
             console.log(`🌐 Acesse: http://localhost:${PORT}`);
             console.log(`📊 Campanhas ativas: ${activeCampaigns.length}`);
+            if (transport.name === 'mock') {
+                console.log('🧪 WhatsApp simulado ativo (MOCK_WHATSAPP=true) - nenhuma mensagem real será enviada');
+            }
             console.log('='.repeat(50));
         });
         
-        // Auto-conectar se houver sessão salva
-        setTimeout(() => {
-            addConnectionLog('Sistema iniciado - Verificando sessão salva...');
-            connectToWhatsApp();
+        // Auto-conectar a sessão padrão e as demais que tiverem sessão salva
+        setTimeout(async () => {
+            addConnectionLog('Sistema iniciado - Verificando sessões salvas...');
+            for (const session of sessions.list()) {
+                const health = await session.checkCredentials();
+                if (health.exists && !health.valid) {
+                    addConnectionLog(`Credenciais salvas inválidas (${health.problems.join('; ')}). Importe um backup ou apague a sessão`, session.id);
+                    continue;
+                }
+                if (session.id === DEFAULT_SESSION_ID || health.exists) {
+                    session.connect();
+                }
+            }
         }, 2000);
         
     } catch (error) {
@@ -897,15 +2654,22 @@ process.on('SIGINT', async () => {
     scheduledJobs.clear();
     
     // Desconectar WhatsApp
-    if (sock) {
+    for (const session of sessions.list()) {
         try {
-            console.log('📱 Desconectando WhatsApp...');
-            await sock.end();
+            console.log(`📱 Desconectando WhatsApp (${session.name})...`);
+            await session.end();
         } catch (error) {
             console.error('Erro ao desconectar:', error);
         }
     }
     
+    // Aguardar escritas pendentes
+    try {
+        await store.close();
+    } catch (error) {
+        console.error('Erro ao fechar armazenamento:', error);
+    }
+    
     console.log('✅ Servidor encerrado com sucesso!');
     process.exit(0);
 });
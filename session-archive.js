@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Arquivo criptografado com a autenticação de uma sessão do WhatsApp
+ *
+ * Formato: "WADS" + versão (1 byte) + salt (16) + iv (12) + tag (16) + dados.
+ * Os dados são um JSON compactado com gzip e cifrado com AES-256-GCM, usando
+ * uma chave derivada da senha com scrypt. A tag do GCM garante que senha
+ * errada e arquivo adulterado sejam detectados na importação.
+ */
+
+const MAGIC = Buffer.from('WADS');
+const FORMAT_VERSION = 1;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = MAGIC.length + 1 + SALT_LENGTH + IV_LENGTH + TAG_LENGTH;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+function deriveKey(passphrase, salt) {
+    return scrypt(passphrase, salt, 32);
+}
+
+/**
+ * Validar a senha do arquivo
+ * @param {string} passphrase - Senha
+ * @throws {Error} Se a senha for curta demais
+ */
+function assertPassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`A senha deve ter pelo menos ${MIN_PASSPHRASE_LENGTH} caracteres`);
+    }
+}
+
+/**
+ * Gerar o arquivo criptografado
+ * @param {Object} files - Mapa nome do arquivo => conteúdo (Buffer)
+ * @param {Object} meta - Informações gravadas junto (ex.: sessionId)
+ * @param {string} passphrase - Senha
+ * @returns {Promise<Buffer>} Arquivo
+ */
+async function pack(files, meta, passphrase) {
+    assertPassphrase(passphrase);
+
+    const payload = {
+        ...meta,
+        exportedAt: new Date().toISOString(),
+        files: Object.fromEntries(
+            Object.entries(files).map(([name, content]) => [name, content.toString('base64')])
+        )
+    };
+
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const key = await deriveKey(passphrase, salt);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([
+        cipher.update(await gzip(JSON.stringify(payload))),
+        cipher.final()
+    ]);
+
+    return Buffer.concat([MAGIC, Buffer.from([FORMAT_VERSION]), salt, iv, cipher.getAuthTag(), data]);
+}
+
+/**
+ * Abrir um arquivo criptografado
+ * @param {Buffer} archive - Arquivo
+ * @param {string} passphrase - Senha
+ * @returns {Promise<Object>} { meta, files } (files: nome => Buffer)
+ */
+async function unpack(archive, passphrase) {
+    assertPassphrase(passphrase);
+
+    if (archive.length <= HEADER_LENGTH || !archive.subarray(0, MAGIC.length).equals(MAGIC)) {
+        throw new Error('Arquivo de sessão inválido');
+    }
+
+    const version = archive[MAGIC.length];
+    if (version !== FORMAT_VERSION) {
+        throw new Error(`Versão de arquivo de sessão não suportada: ${version}`);
+    }
+
+    let offset = MAGIC.length + 1;
+    const salt = archive.subarray(offset, offset += SALT_LENGTH);
+    const iv = archive.subarray(offset, offset += IV_LENGTH);
+    const tag = archive.subarray(offset, offset += TAG_LENGTH);
+    const data = archive.subarray(offset);
+
+    let payload;
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', await deriveKey(passphrase, salt), iv);
+        decipher.setAuthTag(tag);
+        payload = JSON.parse(await gunzip(Buffer.concat([decipher.update(data), decipher.final()])));
+    } catch {
+        throw new Error('Senha incorreta ou arquivo de sessão corrompido');
+    }
+
+    const { files = {}, ...meta } = payload;
+    return {
+        meta,
+        files: Object.fromEntries(
+            Object.entries(files).map(([name, content]) => [name, Buffer.from(content, 'base64')])
+        )
+    };
+}
+
+module.exports = {
+    pack,
+    unpack,
+    MIN_PASSPHRASE_LENGTH
+};
@@ -0,0 +1,722 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const { DisconnectReason } = require('@whiskeysockets/baileys');
+const QRCode = require('qrcode');
+const { config } = require('./config');
+const { ReconnectManager } = require('./reconnect');
+const { createTransport } = require('./transport');
+const sessionArchive = require('./session-archive');
+
+const DEFAULT_SESSION_ID = 'default';
+const SESSION_ID_PATTERN = /^[a-zA-Z0-9_-]{1,32}$/;
+const PAIRING_CODE_TIMEOUT = 60000;
+
+/**
+ * Conta do WhatsApp conectada via Baileys (ou pelo transporte simulado)
+ *
+ * Cada sessão tem seu próprio diretório de autenticação, status, QR Code (ou
+ * código de pareamento) e controle de reconexão. Eventos emitidos:
+ *   log (message)     - mensagem de log da conexão
+ *   status (status)   - mudança de status
+ *   qr (dataUrl)      - novo QR Code gerado
+ *   pairing-code (code) - novo código de pareamento gerado
+ *   reconnect (info)  - nova tentativa agendada ({ attempt, maxAttempts, delay, nextRetryAt })
+ *   groups-changed () - a lista de grupos deve ser atualizada
+ *   poll-update (key, pollUpdates) - votos decifrados de uma enquete enviada
+ */
+class WhatsAppSession extends EventEmitter {
+
+    /**
+     * @param {Object} options - Opções
+     * @param {string} options.id - Identificador da sessão
+     * @param {string} options.name - Nome de exibição
+     * @param {string} options.authDir - Diretório de autenticação
+     * @param {Function} options.reconnectSettings - Função assíncrona que retorna { maxAttempts, baseDelay }
+     * @param {Object} options.transport - Transporte que cria os sockets
+     * @param {Function} options.getMessage - Função assíncrona que devolve uma mensagem enviada pela chave
+     */
+    constructor({ id, name, authDir, reconnectSettings, transport, getMessage }) {
+        super();
+        this.id = id;
+        this.name = name || id;
+        this.authDir = authDir;
+        this.transport = transport;
+        this.getMessage = getMessage || (async () => undefined);
+        this.sock = null;
+        this.status = 'disconnected';
+        this.qrCode = '';
+        this.pairingCode = '';
+        this.pairingNumber = null;
+        this.pendingPairing = null;
+        this.reconnect = new ReconnectManager({ getSettings: reconnectSettings });
+    }
+
+    log(message) {
+        this.emit('log', message);
+    }
+
+    setStatus(status) {
+        if (this.status === status) return;
+        this.status = status;
+        this.emit('status', status);
+    }
+
+    /**
+     * Verificar se a sessão está pronta para enviar mensagens
+     * @returns {boolean} Verdadeiro se conectada
+     */
+    isConnected() {
+        return Boolean(this.sock) && this.status === 'connected';
+    }
+
+    /**
+     * Conectar ao WhatsApp
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        // Uma conexão iniciada manualmente substitui a tentativa agendada
+        this.reconnect.cancel();
+
+        try {
+            this.log('Iniciando conexão com WhatsApp...');
+            this.setStatus('connecting');
+
+            const { sock, saveCreds } = await this.transport.createSocket({
+                authDir: this.authDir,
+                getMessage: (key) => this.getMessage(key, this)
+            });
+            this.sock = sock;
+
+            sock.ev.on('connection.update', async (update) => {
+                // Ignorar eventos de sockets substituídos por uma nova conexão
+                if (this.sock !== sock) return;
+
+                const { connection, lastDisconnect, qr } = update;
+
+                // Em modo de pareamento, o primeiro QR indica que o socket está pronto para pedir o código
+                if (qr && this.pairingNumber && !sock.authState.creds.registered) {
+                    if (!this.pairingCode) {
+                        await this.requestCodeFromSocket(sock);
+                    }
+                } else if (qr) {
+                    try {
+                        this.qrCode = await QRCode.toDataURL(qr);
+                        this.setStatus('qr_ready');
+                        this.emit('qr', this.qrCode);
+                        this.log('QR Code gerado. Escaneie para conectar.');
+                    } catch (error) {
+                        console.error('Erro ao gerar QR Code:', error);
+                        this.log('Erro ao gerar QR Code: ' + error.message);
+                    }
+                }
+
+                if (connection === 'close') {
+                    this.setStatus('disconnected');
+                    this.qrCode = '';
+                    this.pairingCode = '';
+
+                    await this.handleDisconnect(lastDisconnect?.error?.output?.statusCode);
+                } else if (connection === 'open') {
+                    this.setStatus('connected');
+                    this.reconnect.reset();
+                    this.qrCode = '';
+                    this.pairingCode = '';
+                    this.pairingNumber = null;
+                    this.log('Conectado ao WhatsApp com sucesso!');
+
+                    // Atualizar lista de grupos
+                    setTimeout(() => this.emit('groups-changed'), 2000);
+                } else if (connection === 'connecting') {
+                    this.setStatus('connecting');
+                    this.log('Conectando...');
+                }
+            });
+
+            sock.ev.on('creds.update', saveCreds);
+
+            sock.ev.on('groups.update', (updates) => {
+                if (this.isConnected()) {
+                    this.log(`${updates.length} grupos atualizados`);
+                    this.emit('groups-changed');
+                }
+            });
+
+            // Votos de enquetes chegam como atualização da mensagem da enquete
+            sock.ev.on('messages.update', (updates) => {
+                for (const { key, update } of updates) {
+                    if (update?.pollUpdates?.length) {
+                        this.emit('poll-update', key, update.pollUpdates);
+                    }
+                }
+            });
+
+            sock.ev.on('messaging-history.set', () => {
+                this.log('Histórico de mensagens carregado');
+            });
+
+        } catch (error) {
+            console.error('Erro na conexão:', error);
+            this.setStatus('error');
+            this.log(`Erro na conexão: ${error.message}`);
+
+            // O pedido de código de pareamento falha junto, em vez de esperar o tempo esgotar
+            if (this.pairingNumber) {
+                this.pairingNumber = null;
+                this.pendingPairing?.reject(error);
+            }
+
+            // Tentar reconectar após erro
+            await this.scheduleReconnect('Erro na conexão');
+        }
+    }
+
+    /**
+     * Decidir o que fazer após uma desconexão, conforme o motivo
+     * @param {number} statusCode - Código do DisconnectReason
+     * @returns {Promise<void>}
+     */
+    async handleDisconnect(statusCode) {
+        const reason = describeDisconnect(statusCode);
+
+        switch (this.reconnect.policyFor(statusCode)) {
+            case 'restart':
+                this.log(`${reason}. Reiniciando conexão...`);
+                await this.reconnect.schedule(() => this.connect(), { immediate: true });
+                break;
+            case 'reset':
+                this.log(`${reason}. Credenciais removidas, gerando nova autenticação...`);
+                this.reconnect.reset();
+                await this.clearCredentials();
+                await this.reconnect.schedule(() => this.connect(), { immediate: true });
+                break;
+            case 'logout':
+                this.log(`${reason}. Credenciais removidas; conecte novamente para gerar um novo QR Code.`);
+                this.reconnect.reset();
+                // Sem reconexão, o socket encerrado é descartado (ex.: para importar credenciais)
+                this.sock = null;
+                await this.clearCredentials();
+                break;
+            case 'stop':
+                this.log(`${reason}. Não será reconectado.`);
+                this.reconnect.reset();
+                this.sock = null;
+                break;
+            default:
+                await this.scheduleReconnect(reason);
+        }
+    }
+
+    /**
+     * Agendar nova tentativa com backoff exponencial
+     * @param {string} reason - Motivo exibido no log
+     * @returns {Promise<void>}
+     */
+    async scheduleReconnect(reason) {
+        const next = await this.reconnect.schedule(() => this.connect());
+
+        if (!next) {
+            this.sock = null;
+            this.log(`${reason}. Máximo de tentativas de reconexão atingido`);
+            return;
+        }
+
+        this.emit('reconnect', { ...next, nextRetryAt: this.reconnect.nextRetryAt });
+        this.log(`${reason}. Tentativa de reconexão ${next.attempt}/${next.maxAttempts} em ${Math.round(next.delay / 1000)}s`);
+    }
+
+    /**
+     * Apagar as credenciais salvas (o próximo login exige novo QR Code ou código)
+     * @returns {Promise<void>}
+     */
+    async clearCredentials() {
+        await fs.rm(this.authDir, { recursive: true, force: true });
+    }
+
+    /**
+     * Verificar se as credenciais salvas podem ser carregadas
+     * @returns {Promise<Object>} { exists, valid, registered, account, files, problems }
+     */
+    async checkCredentials() {
+        return this.transport.checkCredentials(this.authDir);
+    }
+
+    /**
+     * Exportar a autenticação em um arquivo criptografado
+     * @param {string} passphrase - Senha do arquivo
+     * @returns {Promise<Buffer>} Arquivo
+     */
+    async exportCredentials(passphrase) {
+        const health = await this.checkCredentials();
+        if (!health.exists) {
+            throw new Error('Sessão sem credenciais salvas para exportar');
+        }
+
+        const files = {};
+        const entries = await fs.readdir(this.authDir, { withFileTypes: true });
+        for (const entry of entries.filter(e => e.isFile())) {
+            files[entry.name] = await fs.readFile(path.join(this.authDir, entry.name));
+        }
+
+        return sessionArchive.pack(files, {
+            sessionId: this.id,
+            sessionName: this.name,
+            transport: this.transport.name,
+            account: health.account
+        }, passphrase);
+    }
+
+    /**
+     * Importar a autenticação de um arquivo criptografado
+     *
+     * Os arquivos são extraídos em um diretório temporário e só substituem a
+     * autenticação atual depois de validados.
+     * @param {Buffer} archive - Arquivo gerado por exportCredentials()
+     * @param {string} passphrase - Senha do arquivo
+     * @returns {Promise<Object>} Resultado da verificação das credenciais importadas
+     */
+    async importCredentials(archive, passphrase) {
+        if (this.sock) {
+            throw new Error('Desconecte a sessão antes de importar credenciais');
+        }
+
+        const { meta, files } = await sessionArchive.unpack(archive, passphrase);
+        if (meta.transport && meta.transport !== this.transport.name) {
+            throw new Error(`Arquivo gerado com o transporte "${meta.transport}", mas o atual é "${this.transport.name}"`);
+        }
+
+        const tempDir = `${this.authDir}.import-${Date.now()}`;
+        const oldDir = `${this.authDir}.old-${Date.now()}`;
+
+        try {
+            await fs.mkdir(tempDir, { recursive: true });
+            for (const [name, content] of Object.entries(files)) {
+                // Apenas arquivos soltos, sem caminhos (evita escrita fora do diretório)
+                if (name !== path.basename(name) || name.startsWith('.')) {
+                    throw new Error(`Nome de arquivo inválido no arquivo de sessão: ${name}`);
+                }
+                await fs.writeFile(path.join(tempDir, name), content);
+            }
+
+            const health = await this.transport.checkCredentials(tempDir);
+            if (!health.valid) {
+                throw new Error(`Credenciais importadas inválidas: ${health.problems.join('; ') || 'creds.json ausente'}`);
+            }
+
+            await fs.rename(this.authDir, oldDir).catch(error => {
+                if (error.code !== 'ENOENT') throw error;
+            });
+            await fs.rename(tempDir, this.authDir).catch(async (error) => {
+                await fs.rename(oldDir, this.authDir).catch(() => {});
+                throw error;
+            });
+            await fs.rm(oldDir, { recursive: true, force: true });
+
+            this.reconnect.reset();
+            this.log(`Credenciais importadas${health.account ? ` (${health.account})` : ''}`);
+            return health;
+        } finally {
+            await fs.rm(tempDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Apagar a sessão: desvincula o aparelho (se conectado) e remove as credenciais
+     * @returns {Promise<void>}
+     */
+    async reset() {
+        this.reconnect.reset();
+
+        if (this.pendingPairing) {
+            this.pendingPairing.reject(new Error('Sessão apagada'));
+        }
+
+        if (this.isConnected()) {
+            try {
+                await this.logout();
+            } catch (error) {
+                console.error(`Erro ao desvincular sessão ${this.id}:`, error);
+                await this.end();
+            }
+        } else {
+            await this.end();
+        }
+
+        this.qrCode = '';
+        this.pairingCode = '';
+        this.pairingNumber = null;
+        await this.clearCredentials();
+        this.log('Sessão apagada. Conecte novamente para gerar um novo QR Code.');
+    }
+
+    /**
+     * Conectar usando código de pareamento em vez de QR Code
+     *
+     * Reinicia o socket em modo de pareamento e resolve com o código que deve
+     * ser digitado em "Dispositivos conectados > Conectar com número de telefone".
+     * @param {string} phoneNumber - Número com DDI, apenas dígitos
+     * @returns {Promise<string>} Código de pareamento
+     */
+    async requestPairingCode(phoneNumber) {
+        if (this.isConnected()) {
+            throw new Error('Sessão já está conectada');
+        }
+        if (this.pendingPairing) {
+            throw new Error('Já existe um pedido de código de pareamento em andamento');
+        }
+        if (await this.isRegistered()) {
+            throw new Error('Sessão já possui um aparelho vinculado. Desconecte-a antes de parear novamente');
+        }
+
+        const result = new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pendingPairing = null;
+                reject(new Error('Tempo esgotado aguardando o código de pareamento'));
+            }, PAIRING_CODE_TIMEOUT);
+
+            this.pendingPairing = {
+                resolve: (code) => { clearTimeout(timer); this.pendingPairing = null; resolve(code); },
+                reject: (error) => { clearTimeout(timer); this.pendingPairing = null; reject(error); }
+            };
+        });
+
+        this.pairingNumber = phoneNumber;
+        this.pairingCode = '';
+        this.qrCode = '';
+        this.reconnect.reset();
+
+        if (this.sock) {
+            await this.end();
+        }
+
+        // Uma falha ao criar o socket rejeita result dentro de connect()
+        result.catch(() => {});
+        await this.connect();
+
+        return result;
+    }
+
+    /**
+     * Pedir o código de pareamento ao socket atual
+     * @param {Object} sock - Socket do Baileys
+     * @returns {Promise<void>}
+     */
+    async requestCodeFromSocket(sock) {
+        try {
+            const code = await sock.requestPairingCode(this.pairingNumber);
+            this.pairingCode = code;
+            this.setStatus('pairing_code_ready');
+            this.emit('pairing-code', code);
+            this.log(`Código de pareamento gerado para ${this.pairingNumber}. Digite-o no WhatsApp do celular.`);
+            this.pendingPairing?.resolve(code);
+        } catch (error) {
+            console.error('Erro ao gerar código de pareamento:', error);
+            this.log('Erro ao gerar código de pareamento: ' + error.message);
+            this.pairingNumber = null;
+            this.pendingPairing?.reject(error);
+        }
+    }
+
+    /**
+     * Buscar os grupos dos quais a conta participa
+     * @returns {Promise<Array>} Lista de grupos
+     */
+    async fetchGroups() {
+        if (!this.isConnected()) {
+            throw new Error('WhatsApp desconectado');
+        }
+
+        const groups = await this.sock.groupFetchAllParticipating();
+        const ownId = this.sock.user?.id;
+
+        return Object.values(groups).map(group => ({
+            id: group.id,
+            session: this.id,
+            name: group.subject || 'Grupo sem nome',
+            participantsCount: group.participants?.length || 0,
+            isAdmin: group.participants?.some(p =>
+                p.id === ownId && (p.admin === 'admin' || p.admin === 'superadmin')
+            ) || false,
+            description: group.desc || '',
+            createdAt: group.creation ? new Date(group.creation * 1000).toISOString() : null
+        }));
+    }
+
+    /**
+     * Listar os participantes de um grupo, sem a própria conta
+     * @param {string} groupId - Id do grupo
+     * @returns {Promise<Array>} Ids dos participantes
+     */
+    async fetchParticipants(groupId) {
+        if (!this.isConnected()) {
+            throw new Error('WhatsApp desconectado');
+        }
+
+        const metadata = await this.sock.groupMetadata(groupId);
+        // O id da própria conta vem com o número do aparelho (5511...:12@s.whatsapp.net)
+        const ownId = this.sock.user?.id?.replace(/:\d+@/, '@');
+
+        return (metadata.participants || [])
+            .map(participant => participant.id)
+            .filter(id => id !== ownId);
+    }
+
+    /**
+     * Enviar mensagem
+     * @param {string} jid - Destinatário
+     * @param {Object} content - Conteúdo no formato do Baileys
+     * @returns {Promise<Object>} Mensagem enviada
+     */
+    async sendMessage(jid, content) {
+        if (!this.isConnected()) {
+            throw new Error('WhatsApp não conectado');
+        }
+        return this.sock.sendMessage(jid, content);
+    }
+
+    /**
+     * Encerrar a sessão no WhatsApp (exige novo QR Code depois)
+     * @returns {Promise<void>}
+     */
+    async logout() {
+        const sock = this.sock;
+        this.sock = null;
+        this.qrCode = '';
+        this.pairingCode = '';
+        this.pairingNumber = null;
+        this.reconnect.reset();
+        this.setStatus('disconnected');
+
+        if (sock) {
+            await sock.logout();
+        }
+    }
+
+    /**
+     * Fechar o socket mantendo a sessão salva
+     * @returns {Promise<void>}
+     */
+    async end() {
+        const sock = this.sock;
+        this.sock = null;
+        this.reconnect.cancel();
+        this.setStatus('disconnected');
+
+        if (sock) {
+            await sock.end();
+        }
+    }
+
+    /**
+     * Verificar se as credenciais salvas já estão vinculadas a um aparelho
+     * @returns {Promise<boolean>} Verdadeiro se já houve login
+     */
+    async isRegistered() {
+        const creds = await this.transport.loadCreds(this.authDir);
+        return Boolean(creds?.me || creds?.registered);
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            status: this.status,
+            loginMethod: this.pairingNumber ? 'pairing_code' : 'qr',
+            phone: this.sock?.user?.id || null,
+            reconnectAttempts: this.reconnect.attempts,
+            maxReconnectAttempts: this.reconnect.maxAttempts,
+            nextRetryAt: this.reconnect.nextRetryAt
+        };
+    }
+}
+
+/**
+ * Descrever o motivo de uma desconexão
+ * @param {number} statusCode - Código do DisconnectReason
+ * @returns {string} Motivo legível
+ */
+function describeDisconnect(statusCode) {
+    switch (statusCode) {
+        case DisconnectReason.badSession:
+            return 'Sessão inválida';
+        case DisconnectReason.connectionClosed:
+            return 'Conexão fechada';
+        case DisconnectReason.connectionLost:
+            return 'Conexão perdida';
+        case DisconnectReason.connectionReplaced:
+            return 'Conexão substituída';
+        case DisconnectReason.loggedOut:
+            return 'Deslogado';
+        case DisconnectReason.multideviceMismatch:
+            return 'Versão multi-dispositivo incompatível';
+        case DisconnectReason.forbidden:
+            return 'Acesso negado pelo WhatsApp';
+        case DisconnectReason.restartRequired:
+            return 'Reinício necessário';
+        case DisconnectReason.timedOut:
+            return 'Tempo esgotado';
+        default:
+            return 'Conexão perdida';
+    }
+}
+
+/**
+ * Gerenciador das sessões do WhatsApp
+ *
+ * Mantém as sessões cadastradas em "sessions" no armazenamento e repassa os
+ * eventos de cada uma com a sessão como primeiro argumento.
+ */
+class SessionManager extends EventEmitter {
+
+    /**
+     * @param {Object} options - Opções
+     * @param {Object} options.store - Driver de armazenamento
+     * @param {string} options.authRoot - Diretório raiz das autenticações
+     * @param {Function} options.reconnectSettings - Função assíncrona que retorna { maxAttempts, baseDelay }
+     * @param {Object} options.transport - Transporte do WhatsApp (padrão: Baileys)
+     * @param {Function} options.getMessage - Função assíncrona (key, session) que devolve uma mensagem enviada
+     */
+    constructor({ store, authRoot = 'auth_info', reconnectSettings, transport, getMessage }) {
+        super();
+        this.store = store;
+        this.authRoot = authRoot;
+        this.transport = transport || createTransport();
+        this.getMessage = getMessage;
+        this.reconnectSettings = reconnectSettings || (async () => ({
+            maxAttempts: config.whatsapp.maxReconnectAttempts,
+            baseDelay: config.whatsapp.reconnectDelay
+        }));
+        this.sessions = new Map();
+    }
+
+    /**
+     * Carregar as sessões cadastradas
+     * @returns {Promise<void>}
+     */
+    async init() {
+        await fs.mkdir(this.authRoot, { recursive: true });
+        await this.moveLegacyAuth();
+
+        const saved = await this.store.update('sessions', (sessions) => {
+            if (!sessions.some(s => s.id === DEFAULT_SESSION_ID)) {
+                sessions.unshift({ id: DEFAULT_SESSION_ID, name: 'Principal', createdAt: new Date().toISOString() });
+            }
+            return sessions;
+        });
+
+        saved.forEach(data => this.attach(data));
+    }
+
+    /**
+     * Mover a autenticação da versão com uma única conta para a sessão padrão
+     * @returns {Promise<void>}
+     */
+    async moveLegacyAuth() {
+        const entries = await fs.readdir(this.authRoot, { withFileTypes: true });
+        if (!entries.some(entry => entry.isFile() && entry.name === 'creds.json')) return;
+
+        const target = path.join(this.authRoot, DEFAULT_SESSION_ID);
+        await fs.mkdir(target, { recursive: true });
+
+        for (const entry of entries) {
+            if (entry.isFile()) {
+                await fs.rename(path.join(this.authRoot, entry.name), path.join(target, entry.name));
+            }
+        }
+        console.log(`Autenticação existente movida para ${target}`);
+    }
+
+    attach({ id, name }) {
+        const session = new WhatsAppSession({
+            id,
+            name,
+            authDir: path.join(this.authRoot, id),
+            reconnectSettings: this.reconnectSettings,
+            transport: this.transport,
+            getMessage: this.getMessage
+        });
+        session.on('log', message => this.emit('log', session, message));
+        session.on('status', status => this.emit('status', session, status));
+        session.on('qr', qrCode => this.emit('qr', session, qrCode));
+        session.on('pairing-code', code => this.emit('pairing-code', session, code));
+        session.on('reconnect', info => this.emit('reconnect', session, info));
+        session.on('groups-changed', () => this.emit('groups-changed', session));
+        session.on('poll-update', (key, pollUpdates) => this.emit('poll-update', session, key, pollUpdates));
+        this.sessions.set(id, session);
+        return session;
+    }
+
+    /**
+     * Obter uma sessão
+     * @param {string} id - Identificador
+     * @returns {WhatsAppSession|undefined} Sessão
+     */
+    get(id = DEFAULT_SESSION_ID) {
+        return this.sessions.get(id);
+    }
+
+    /**
+     * Listar sessões
+     * @returns {Array<WhatsAppSession>} Sessões
+     */
+    list() {
+        return [...this.sessions.values()];
+    }
+
+    /**
+     * Cadastrar uma nova sessão
+     * @param {Object} data - { id, name }
+     * @returns {Promise<WhatsAppSession>} Sessão criada
+     */
+    async create({ id, name }) {
+        if (!SESSION_ID_PATTERN.test(id || '')) {
+            throw new Error('Identificador de sessão inválido (use letras, números, "-" ou "_", até 32 caracteres)');
+        }
+        if (this.sessions.has(id)) {
+            throw new Error(`Sessão "${id}" já existe`);
+        }
+
+        const data = { id, name: (name || id).trim(), createdAt: new Date().toISOString() };
+        await this.store.update('sessions', (sessions) => {
+            sessions.push(data);
+        });
+        return this.attach(data);
+    }
+
+    /**
+     * Remover uma sessão, encerrando-a no WhatsApp e apagando a autenticação
+     * @param {string} id - Identificador
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        const session = this.sessions.get(id);
+        if (!session) {
+            throw new Error(`Sessão "${id}" não encontrada`);
+        }
+        if (id === DEFAULT_SESSION_ID) {
+            throw new Error('A sessão padrão não pode ser removida');
+        }
+
+        try {
+            await session.logout();
+        } catch (error) {
+            console.error(`Erro ao encerrar sessão ${id}:`, error);
+        }
+
+        session.removeAllListeners();
+        this.sessions.delete(id);
+
+        await fs.rm(session.authDir, { recursive: true, force: true });
+        await this.store.update('sessions', (sessions) => {
+            const index = sessions.findIndex(s => s.id === id);
+            if (index !== -1) sessions.splice(index, 1);
+        });
+    }
+}
+
+module.exports = {
+    DEFAULT_SESSION_ID,
+    SESSION_ID_PATTERN,
+    WhatsAppSession,
+    SessionManager
+};
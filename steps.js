@@ -0,0 +1,129 @@
+const { validateMedia } = require('./media');
+
+/**
+ * Sequências de mensagens das campanhas
+ *
+ * A mensagem principal (com sua mídia e variações) ou a enquete da campanha é
+ * sempre a primeira etapa.
+ * campaign.steps lista as etapas seguintes, enviadas em ordem a cada grupo:
+ *   { type: 'text',  message, delay }
+ *   { type: 'media', message (legenda), media, delay } - imagem, vídeo, documento, áudio ou figurinha
+ *   { type: 'link',  message, url, delay } - texto com link e prévia
+ * delay é o intervalo em segundos antes da etapa.
+ *
+ * Se uma etapa falhar, campaign.onStepFailure define o que acontece com as
+ * etapas restantes daquele grupo: 'stop' (padrão) ou 'continue'.
+ */
+
+const STEP_TYPES = ['text', 'media', 'link'];
+const STEP_FAILURE_MODES = ['stop', 'continue'];
+const MAX_STEPS = 5;
+const DEFAULT_STEP_DELAY = 2;
+const MAX_STEP_DELAY = 300;
+
+/**
+ * Montar a sequência completa de um envio
+ * @param {Object} variant - Variação escolhida da mensagem principal
+ * @param {Array} steps - Etapas seguintes da campanha
+ * @param {Object} poll - Enquete que substitui a mensagem principal (opcional)
+ * @returns {Array} Etapas { type, message, media, url, poll, delay }
+ */
+function buildSequence(variant, steps = [], poll = null) {
+    const first = poll
+        ? { type: 'poll', message: poll.question, poll, delay: 0 }
+        : { type: variant.media ? 'media' : 'text', message: variant.message, media: variant.media, delay: 0 };
+
+    return [
+        first,
+        ...steps.map(step => ({ delay: DEFAULT_STEP_DELAY, ...step }))
+    ];
+}
+
+/**
+ * Texto e mídia a enviar em uma etapa
+ * @param {Object} step - Etapa
+ * @param {Function} render - Função que aplica spintax e variáveis ao texto
+ * @returns {Object} { text, media, poll }
+ */
+function stepContent(step, render) {
+    const text = step.message ? render(step.message) : '';
+
+    switch (step.type) {
+        case 'media':
+            return { text, media: step.media || null };
+        case 'link':
+            return { text: text ? `${text}\n\n${step.url}` : step.url, media: null };
+        case 'poll':
+            return { text, media: null, poll: step.poll };
+        default:
+            return { text, media: null };
+    }
+}
+
+/**
+ * Validar as etapas de uma campanha
+ * @param {Array} steps - Etapas seguintes à mensagem principal
+ * @param {string} onStepFailure - 'stop' ou 'continue'
+ * @returns {Object} Resultado da validação
+ */
+function validateSteps(steps, onStepFailure) {
+    const errors = [];
+
+    if (onStepFailure !== undefined && !STEP_FAILURE_MODES.includes(onStepFailure)) {
+        errors.push(`Ação em caso de falha inválida: ${onStepFailure} (use ${STEP_FAILURE_MODES.join(' ou ')})`);
+    }
+
+    if (!Array.isArray(steps)) {
+        errors.push('Etapas devem ser uma lista');
+        return { valid: false, errors };
+    }
+
+    if (steps.length > MAX_STEPS) {
+        errors.push(`Máximo de ${MAX_STEPS} etapas além da mensagem principal`);
+    }
+
+    steps.forEach((step, index) => {
+        const label = `Etapa ${index + 2}`;
+
+        if (!STEP_TYPES.includes(step?.type)) {
+            errors.push(`${label}: tipo inválido (use ${STEP_TYPES.join(', ')})`);
+            return;
+        }
+
+        if (step.message !== undefined && (typeof step.message !== 'string' || step.message.length > 4096)) {
+            errors.push(`${label}: mensagem deve ser um texto de até 4096 caracteres`);
+        }
+
+        if (step.type === 'text' && !step.message?.trim()) {
+            errors.push(`${label}: mensagem é obrigatória`);
+        }
+        if (step.type === 'media') {
+            if (!step.media) {
+                errors.push(`${label}: arquivo é obrigatório`);
+            } else {
+                errors.push(...validateMedia(step.media, label).errors);
+            }
+        }
+        if (step.type === 'link' && !/^https?:\/\/\S+$/i.test(step.url || '')) {
+            errors.push(`${label}: link inválido (use http:// ou https://)`);
+        }
+
+        if (step.delay !== undefined && (!Number.isFinite(step.delay) || step.delay < 0 || step.delay > MAX_STEP_DELAY)) {
+            errors.push(`${label}: intervalo deve estar entre 0 e ${MAX_STEP_DELAY} segundos`);
+        }
+    });
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+module.exports = {
+    STEP_TYPES,
+    STEP_FAILURE_MODES,
+    MAX_STEPS,
+    buildSequence,
+    stepContent,
+    validateSteps
+};
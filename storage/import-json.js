@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+const fs = require('fs').promises;
+const { config } = require('../config');
+const { DATA_FILES, LOG_FILES, createStorage } = require('./index');
+
+/**
+ * Importar os arquivos data/*.json para o banco SQLite
+ * @param {Object} options - Opções
+ * @param {string} options.sqliteFile - Caminho do banco de destino
+ * @param {boolean} options.force - Sobrescrever dados já existentes no banco
+ * @returns {Promise<Object>} Quantidade importada por chave
+ */
+async function importJsonToSqlite({ sqliteFile, force = false }) {
+    const source = createStorage({ driver: 'json' });
+    const target = createStorage({ driver: 'sqlite', sqliteFile });
+    const summary = {};
+
+    await target.init();
+
+    try {
+        if (!force) {
+            const existing = await target.read('campaigns');
+            if (existing.length > 0) {
+                throw new Error('O banco SQLite já contém campanhas. Use --force para sobrescrever');
+            }
+        }
+
+        for (const [key, filePath] of Object.entries(DATA_FILES)) {
+            try {
+                await fs.access(filePath);
+            } catch {
+                console.log(`⏭️  ${filePath} não encontrado - ignorado`);
+                continue;
+            }
+
+            // Manter a versão de esquema de origem; a migração ocorre ao iniciar o servidor
+            const data = await source.read(key);
+            await target.rewrite(key, () => data, await source.getVersion(key));
+            summary[key] = Array.isArray(data) ? data.length : 1;
+            console.log(`✅ ${key}: ${summary[key]} registro(s) importado(s)`);
+        }
+
+        for (const name of Object.keys(LOG_FILES)) {
+            const { total } = await target.query(name, { limit: 0 });
+            if (total > 0) {
+                console.log(`⏭️  ${name} já possui ${total} entrada(s) no banco - ignorado`);
+                continue;
+            }
+
+            const { items } = await source.query(name, { limit: Infinity });
+            for (const entry of items.reverse()) {
+                await target.append(name, entry);
+            }
+            summary[name] = items.length;
+            console.log(`✅ ${name}: ${items.length} entrada(s) importada(s)`);
+        }
+    } finally {
+        await target.close();
+    }
+
+    return summary;
+}
+
+// Executar importação se chamado diretamente
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const dbIndex = args.indexOf('--db');
+    const sqliteFile = dbIndex !== -1 ? args[dbIndex + 1] : config.database.sqliteFile;
+
+    console.log(`📦 Importando dados JSON para ${sqliteFile}...`);
+
+    importJsonToSqlite({ sqliteFile, force: args.includes('--force') }).then(() => {
+        console.log('🎉 Importação concluída! Defina DB_DRIVER=sqlite para usar o banco.');
+        process.exit(0);
+    }).catch(error => {
+        console.error('❌ Erro na importação:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = importJsonToSqlite;
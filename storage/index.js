@@ -0,0 +1,149 @@
+const path = require('path');
+const JsonStorage = require('./json');
+const SqliteStorage = require('./sqlite');
+const { SCHEMA_VERSIONS, runMigrations } = require('./migrations');
+
+/**
+ * Camada de armazenamento do WA Divulgações
+ *
+ * Todo driver expõe a mesma interface:
+ *   init()            - prepara o armazenamento e cria dados iniciais
+ *   read(key)         - lê os dados de uma chave
+ *   write(key, data)  - substitui os dados de uma chave
+ *   update(key, fn)   - lê, modifica e salva em uma única transação
+ *   close()           - aguarda escritas pendentes e libera recursos
+ *   getVersion(key)   - versão de esquema gravada para a chave
+ *   rewrite(key, fn, version) - reescreve os dados com nova versão de esquema
+ *   backup(dir)       - copia os dados para um diretório de backup
+ *   append(log, entry) - acrescenta uma entrada a um registro histórico
+ *   query(log, filter) - consulta um registro histórico
+ *   increment(key, changes) - soma valores aos contadores de um documento (COUNTER_DOCUMENTS)
+ */
+
+// Arquivos de dados (driver JSON)
+const DATA_FILES = {
+    campaigns: 'data/campaigns.json',
+    groups: 'data/groups.json',
+    statistics: 'data/statistics.json',
+    settings: 'data/settings.json',
+    sessions: 'data/sessions.json',
+    executions: 'data/executions.json'
+};
+
+// Registros históricos, apenas com acréscimos (driver JSON: um arquivo JSON Lines)
+const LOG_FILES = {
+    deliveries: 'data/deliveries.jsonl',
+    polls: 'data/polls.jsonl',
+    pollVotes: 'data/poll-votes.jsonl',
+    campaignRevisions: 'data/campaign-revisions.jsonl',
+    jobUpdates: 'data/job-updates.jsonl',
+    executionHistory: 'data/execution-history.jsonl'
+};
+
+// Campos dos registros históricos consultados com frequência (índices dos drivers)
+const LOG_INDEXES = {
+    deliveries: ['executionId', 'campaignId'],
+    polls: ['messageId', 'campaignId'],
+    pollVotes: ['campaignId'],
+    campaignRevisions: ['campaignId'],
+    jobUpdates: ['executionId'],
+    executionHistory: ['id', 'campaignId']
+};
+
+// Documentos de contadores: totals são campos numéricos do documento e daily o
+// mapa dia => contadores. O driver SQLite grava cada contador em uma linha, para
+// somar um envio sem reescrever o documento inteiro
+const COUNTER_DOCUMENTS = {
+    statistics: {
+        totals: ['totalSent', 'totalFailed', 'totalGroups', 'campaignsCreated'],
+        daily: 'dailyStats'
+    }
+};
+
+// Dados iniciais de cada chave
+const DATA_DEFAULTS = {
+    campaigns: () => [],
+    groups: () => [],
+    sessions: () => [],
+    executions: () => [],
+    statistics: () => ({
+        totalSent: 0,
+        totalFailed: 0,
+        totalGroups: 0,
+        campaignsCreated: 0,
+        dailyStats: {}
+    }),
+    settings: () => ({
+        antiSpam: {
+            enabled: true,
+            intervalMinutes: 30,
+            maxMessagesPerGroup: 10
+        },
+        security: {
+            maxReconnectAttempts: 5,
+            reconnectDelay: 30000
+        },
+        mentions: {
+            enabled: true,
+            maxPerGroup: 256,
+            disabledGroups: []
+        },
+        testNumbers: []
+    })
+};
+
+// Identificação dos itens de listas no driver SQLite (padrão: item.id)
+const RECORD_IDS = {
+    // O mesmo grupo pode aparecer em mais de uma sessão
+    groups: (group) => `${group.session}:${group.id}`
+};
+
+const DRIVERS = ['json', 'sqlite'];
+
+/**
+ * Criar o armazenamento para o driver escolhido
+ * @param {Object} options - Opções
+ * @param {string} options.driver - 'json' ou 'sqlite'
+ * @param {string} options.sqliteFile - Caminho do banco SQLite
+ * @returns {JsonStorage|SqliteStorage} Driver de armazenamento
+ */
+function createStorage(options = {}) {
+    const driver = options.driver || 'json';
+
+    switch (driver) {
+        case 'json':
+            return new JsonStorage(DATA_FILES, {
+                defaults: DATA_DEFAULTS,
+                schemaVersions: SCHEMA_VERSIONS,
+                logs: LOG_FILES,
+                logIndexes: LOG_INDEXES,
+                counters: COUNTER_DOCUMENTS
+            });
+        case 'sqlite':
+            return new SqliteStorage(options.sqliteFile || path.join('data', 'wa-divulgacoes.db'), {
+                keys: DATA_FILES,
+                defaults: DATA_DEFAULTS,
+                schemaVersions: SCHEMA_VERSIONS,
+                logs: LOG_FILES,
+                logIndexes: LOG_INDEXES,
+                counters: COUNTER_DOCUMENTS,
+                recordIds: RECORD_IDS
+            });
+        default:
+            throw new Error(`Driver de armazenamento inválido: ${driver} (use ${DRIVERS.join(' ou ')})`);
+    }
+}
+
+module.exports = {
+    DATA_FILES,
+    DATA_DEFAULTS,
+    LOG_FILES,
+    LOG_INDEXES,
+    COUNTER_DOCUMENTS,
+    DRIVERS,
+    SCHEMA_VERSIONS,
+    createStorage,
+    runMigrations,
+    JsonStorage,
+    SqliteStorage
+};
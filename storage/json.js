@@ -0,0 +1,481 @@
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const path = require('path');
+const readline = require('readline');
+const KeyedQueue = require('./queue');
+const Utils = require('../utils');
+
+/**
+ * Driver de armazenamento em arquivos JSON
+ *
+ * Cada arquivo possui uma fila própria: leituras-modificações-escritas feitas
+ * via update() são executadas uma de cada vez, e cada escrita é atômica
+ * (arquivo temporário + rename), mantendo uma cópia .bak da última versão válida.
+ *
+ * Os arquivos são gravados como { schemaVersion, data }; arquivos antigos, sem
+ * esse envelope, são lidos como versão 1.
+ *
+ * Registros históricos (ex.: entregas) ficam em arquivos JSON Lines, apenas
+ * com acréscimos, para não reescrever o histórico inteiro a cada entrada.
+ * Os campos de logIndexes têm um índice em memória com a posição de cada
+ * entrada no arquivo: consultas por esses campos leem só as linhas que
+ * combinam, em vez do arquivo inteiro.
+ */
+class JsonStorage {
+
+    /**
+     * @param {Object} files - Mapa chave => caminho do arquivo
+     * @param {Object} options - Opções
+     * @param {Object} options.defaults - Mapa chave => função que retorna os dados iniciais
+     * @param {Object} options.schemaVersions - Mapa chave => versão de esquema atual
+     * @param {Object} options.logs - Mapa nome do registro => caminho do arquivo .jsonl
+     * @param {Object} options.logIndexes - Mapa nome do registro => campos indexados
+     * @param {Object} options.counters - Mapa chave => { totals, daily } dos documentos de contadores
+     */
+    constructor(files, { defaults = {}, schemaVersions = {}, logs = {}, logIndexes = {}, counters = {} } = {}) {
+        this.name = 'json';
+        this.files = files;
+        this.logs = logs;
+        this.logIndexes = logIndexes;
+        this.counters = counters;
+        this.indexes = new Map();
+        this.builtIndexes = new Map();
+        this.defaults = defaults;
+        this.schemaVersions = schemaVersions;
+        this.queue = new KeyedQueue();
+        this.intact = new Set();
+        this.versions = new Map();
+    }
+
+    /**
+     * Criar diretórios e arquivos que ainda não existem
+     * @returns {Promise<void>}
+     */
+    async init() {
+        for (const [key, filePath] of Object.entries(this.files)) {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            try {
+                await fs.access(filePath);
+            } catch {
+                await this.write(key, this.getDefault(key));
+            }
+        }
+
+        for (const name of Object.keys(this.logIndexes)) {
+            await this.loadIndex(name);
+        }
+    }
+
+    /**
+     * Obter dados iniciais de uma chave
+     * @param {string} key - Chave dos dados
+     * @returns {*} Dados iniciais
+     */
+    getDefault(key) {
+        return this.defaults[key] ? this.defaults[key]() : [];
+    }
+
+    /**
+     * Ler dados
+     * @param {string} key - Chave dos dados
+     * @returns {Promise<*>} Dados lidos
+     */
+    async read(key) {
+        return this.load(key);
+    }
+
+    /**
+     * Substituir dados por completo
+     * @param {string} key - Chave dos dados
+     * @param {*} data - Novos dados
+     * @returns {Promise<*>} Dados salvos
+     */
+    write(key, data) {
+        return this.enqueue(key, async () => {
+            await this.commit(key, data, this.schemaVersions[key]);
+            return data;
+        });
+    }
+
+    /**
+     * Ler, modificar e salvar dados em uma única transação
+     *
+     * A função recebe os dados atuais e pode alterá-los diretamente; o valor
+     * retornado por ela é repassado ao chamador. Se a função lançar um erro,
+     * nada é salvo.
+     * @param {string} key - Chave dos dados
+     * @param {Function} fn - Função de modificação
+     * @returns {Promise<*>} Valor retornado pela função
+     */
+    update(key, fn) {
+        return this.enqueue(key, async () => {
+            const data = await this.load(key);
+            const result = await fn(data);
+            await this.commit(key, data);
+            return result;
+        });
+    }
+
+    /**
+     * Somar valores aos contadores de um documento
+     * @param {string} key - Chave de um documento de contadores
+     * @param {Object} changes - { totals: { campo: valor }, day: 'AAAA-MM-DD', daily: { campo: valor } }
+     * @returns {Promise<void>}
+     */
+    increment(key, { totals = {}, day = null, daily = {} } = {}) {
+        const counters = this.counters[key];
+        if (!counters) {
+            return Promise.reject(new Error(`Chave sem contadores: ${key}`));
+        }
+
+        return this.update(key, (data) => {
+            for (const [field, value] of Object.entries(totals)) {
+                data[field] = (data[field] || 0) + value;
+            }
+            if (!day) return;
+
+            if (!data[counters.daily]) data[counters.daily] = {};
+            if (!data[counters.daily][day]) data[counters.daily][day] = {};
+            const current = data[counters.daily][day];
+            for (const [field, value] of Object.entries(daily)) {
+                current[field] = (current[field] || 0) + value;
+            }
+        });
+    }
+
+    /**
+     * Obter a versão de esquema gravada
+     * @param {string} key - Chave dos dados
+     * @returns {Promise<number>} Versão do esquema
+     */
+    async getVersion(key) {
+        await this.load(key);
+        return this.versions.get(key);
+    }
+
+    /**
+     * Reescrever dados de uma chave com uma nova versão de esquema
+     * @param {string} key - Chave dos dados
+     * @param {Function} fn - Recebe os dados atuais e retorna os novos
+     * @param {number} version - Nova versão do esquema
+     * @returns {Promise<*>} Dados salvos
+     */
+    rewrite(key, fn, version) {
+        return this.enqueue(key, async () => {
+            const data = await fn(await this.load(key));
+            await this.commit(key, data, version);
+            return data;
+        });
+    }
+
+    /**
+     * Acrescentar uma entrada a um registro histórico
+     * @param {string} name - Nome do registro
+     * @param {Object} entry - Entrada (deve conter timestamp ISO)
+     * @returns {Promise<Object>} Entrada gravada
+     */
+    append(name, entry) {
+        const filePath = this.logs[name];
+        if (!filePath) {
+            return Promise.reject(new Error(`Registro desconhecido: ${name}`));
+        }
+
+        return this.queue.run(`log:${name}`, async () => {
+            const line = Buffer.from(JSON.stringify(entry) + '\n', 'utf8');
+            await fs.appendFile(filePath, line);
+
+            // Índice já montado: a entrada começa onde o arquivo terminava
+            // (um índice ainda na fila vai ler esta entrada do arquivo)
+            const index = this.builtIndexes.get(name);
+            if (index) {
+                this.indexEntry(index, entry, index.size, line.length);
+                index.size += line.length;
+            }
+            return entry;
+        });
+    }
+
+    /**
+     * Consultar um registro histórico (mais recentes primeiro)
+     * @param {string} name - Nome do registro
+     * @param {Object} filter - Filtros
+     * @param {Object} filter.where - Igualdade de campos (ex.: { status: 'sent' })
+     * @param {string} filter.from - Timestamp ISO mínimo
+     * @param {string} filter.to - Timestamp ISO máximo
+     * @param {number} filter.limit - Máximo de entradas
+     * @param {number} filter.offset - Entradas a pular
+     * @returns {Promise<Object>} { total, items }
+     */
+    async query(name, { where = {}, from, to, limit = 100, offset = 0 } = {}) {
+        const filePath = this.logs[name];
+        if (!filePath) {
+            throw new Error(`Registro desconhecido: ${name}`);
+        }
+
+        try {
+            await fs.access(filePath);
+        } catch {
+            return { total: 0, items: [] };
+        }
+
+        const indexed = (this.logIndexes[name] || []).find(field => where[field] !== undefined && where[field] !== null);
+        const matches = indexed
+            ? await this.readIndexed(name, indexed, where[indexed])
+            : await this.readAll(filePath);
+
+        const selected = matches.filter(entry =>
+            !(from && entry.timestamp < from) &&
+            !(to && entry.timestamp > to) &&
+            !Object.entries(where).some(([field, value]) => entry[field] !== value)
+        );
+
+        selected.reverse();
+        return {
+            total: selected.length,
+            items: selected.slice(offset, offset + limit)
+        };
+    }
+
+    /**
+     * Ler todas as entradas de um registro, na ordem em que foram gravadas
+     * @param {string} filePath - Caminho do arquivo .jsonl
+     * @returns {Promise<Array>} Entradas
+     */
+    async readAll(filePath) {
+        const entries = [];
+        const lines = readline.createInterface({
+            input: createReadStream(filePath, { encoding: 'utf8' }),
+            crlfDelay: Infinity
+        });
+
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+
+            try {
+                entries.push(JSON.parse(line));
+            } catch {
+                continue; // Linha incompleta (interrupção durante a escrita)
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Ler só as entradas com o valor informado em um campo indexado
+     * @param {string} name - Nome do registro
+     * @param {string} field - Campo indexado
+     * @param {*} value - Valor procurado
+     * @returns {Promise<Array>} Entradas, na ordem em que foram gravadas
+     */
+    async readIndexed(name, field, value) {
+        const index = await this.loadIndex(name);
+        const positions = index.fields.get(field).get(value) || [];
+        if (positions.length === 0) return [];
+
+        const entries = [];
+        const handle = await fs.open(this.logs[name], 'r');
+        try {
+            for (const [start, length] of positions) {
+                const buffer = Buffer.alloc(length);
+                await handle.read(buffer, 0, length, start);
+                try {
+                    entries.push(JSON.parse(buffer.toString('utf8')));
+                } catch {
+                    continue;
+                }
+            }
+        } finally {
+            await handle.close();
+        }
+        return entries;
+    }
+
+    /**
+     * Montar (uma única vez) o índice dos campos de um registro
+     *
+     * O arquivo é percorrido na fila do registro, sem acréscimos no meio da
+     * leitura; depois disso append() mantém o índice atualizado.
+     * @param {string} name - Nome do registro
+     * @returns {Promise<Object>} { size, fields: Map campo => Map valor => [[início, tamanho]] }
+     */
+    loadIndex(name) {
+        if (!this.indexes.has(name)) {
+            const building = this.queue.run(`log:${name}`, () => this.buildIndex(name));
+            this.indexes.set(name, building);
+            building.catch(() => this.indexes.delete(name));
+        }
+        return this.indexes.get(name);
+    }
+
+    async buildIndex(name) {
+        const index = {
+            size: 0,
+            fields: new Map((this.logIndexes[name] || []).map(field => [field, new Map()]))
+        };
+
+        let pending = Buffer.alloc(0);
+        try {
+            for await (const chunk of createReadStream(this.logs[name])) {
+                pending = Buffer.concat([pending, chunk]);
+
+                let end;
+                while ((end = pending.indexOf(0x0a)) !== -1) {
+                    const line = pending.subarray(0, end + 1);
+                    pending = pending.subarray(end + 1);
+
+                    try {
+                        this.indexEntry(index, JSON.parse(line.toString('utf8')), index.size, line.length);
+                    } catch {
+                        // Linha incompleta (interrupção durante a escrita)
+                    }
+                    index.size += line.length;
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        // Restos sem quebra de linha ficam antes das próximas entradas
+        index.size += pending.length;
+        this.builtIndexes.set(name, index);
+        return index;
+    }
+
+    indexEntry(index, entry, start, length) {
+        for (const [field, values] of index.fields) {
+            const value = entry[field];
+            if (value === undefined || value === null) continue;
+
+            if (!values.has(value)) values.set(value, []);
+            values.get(value).push([start, length]);
+        }
+    }
+
+    /**
+     * Copiar os arquivos de dados para um diretório de backup
+     * @param {string} backupDir - Diretório de backups
+     * @returns {Promise<string>} Caminho do backup criado
+     */
+    async backup(backupDir) {
+        await this.queue.drain();
+        const dataDir = path.dirname(Object.values(this.files)[0]);
+        return Utils.createBackup(dataDir, backupDir);
+    }
+
+    /**
+     * Aguardar escritas pendentes
+     * @returns {Promise<void>}
+     */
+    async close() {
+        await this.queue.drain();
+    }
+
+    /**
+     * Encadear uma operação na fila do arquivo
+     * @param {string} key - Chave dos dados
+     * @param {Function} task - Operação
+     * @returns {Promise<*>} Resultado da operação
+     */
+    enqueue(key, task) {
+        if (!this.files[key]) {
+            return Promise.reject(new Error(`Chave de dados desconhecida: ${key}`));
+        }
+        return this.queue.run(key, task);
+    }
+
+    /**
+     * Carregar arquivo, recorrendo à cópia .bak se estiver corrompido
+     * @param {string} key - Chave dos dados
+     * @returns {Promise<*>} Dados lidos
+     */
+    async load(key) {
+        const filePath = this.files[key];
+        if (!filePath) {
+            throw new Error(`Chave de dados desconhecida: ${key}`);
+        }
+
+        let content;
+        try {
+            content = await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        if (content !== undefined) {
+            try {
+                const data = this.unwrap(key, JSON.parse(content));
+                this.intact.add(key);
+                return data;
+            } catch (error) {
+                console.error(`Arquivo ${filePath} corrompido:`, error.message);
+            }
+        }
+
+        this.intact.delete(key);
+
+        try {
+            const backup = JSON.parse(await fs.readFile(`${filePath}.bak`, 'utf8'));
+            console.warn(`Usando última cópia válida de ${key} (${filePath}.bak)`);
+            return this.unwrap(key, backup);
+        } catch (error) {
+            if (content === undefined && error.code === 'ENOENT') {
+                this.versions.set(key, this.schemaVersions[key] || 1);
+                return this.getDefault(key);
+            }
+            throw new Error(`Não foi possível ler ${key}: arquivo corrompido e sem cópia válida`);
+        }
+    }
+
+    /**
+     * Separar dados e versão do conteúdo de um arquivo
+     * @param {string} key - Chave dos dados
+     * @param {*} content - Conteúdo do arquivo já convertido
+     * @returns {*} Dados
+     */
+    unwrap(key, content) {
+        const isEnvelope = content !== null && typeof content === 'object' && !Array.isArray(content)
+            && Number.isInteger(content.schemaVersion) && 'data' in content;
+
+        this.versions.set(key, isEnvelope ? content.schemaVersion : 1);
+        return isEnvelope ? content.data : content;
+    }
+
+    /**
+     * Gravar arquivo de forma atômica
+     * @param {string} key - Chave dos dados
+     * @param {*} data - Dados a salvar
+     * @param {number} version - Versão do esquema (padrão: a última lida)
+     * @returns {Promise<void>}
+     */
+    async commit(key, data, version) {
+        const filePath = this.files[key];
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        const schemaVersion = version || this.versions.get(key) || this.schemaVersions[key] || 1;
+        const content = JSON.stringify({ schemaVersion, data }, null, 2);
+
+        const handle = await fs.open(tempPath, 'w');
+        try {
+            await handle.writeFile(content, 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        // Preservar a versão anterior apenas se ela for comprovadamente válida
+        if (this.intact.has(key)) {
+            try {
+                await fs.copyFile(filePath, `${filePath}.bak`);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error(`Erro ao copiar última versão de ${key}:`, error);
+                }
+            }
+        }
+
+        await fs.rename(tempPath, filePath);
+        this.intact.add(key);
+        this.versions.set(key, schemaVersion);
+    }
+}
+
+module.exports = JsonStorage;
@@ -0,0 +1,226 @@
+const path = require('path');
+const { config } = require('../config');
+
+/**
+ * Migrações de esquema dos dados
+ *
+ * Cada chave possui uma lista ordenada de passos; o passo de versão N recebe os
+ * dados na versão N - 1 e retorna os dados na versão N. Passos já publicados
+ * não devem ser alterados: mudanças novas entram como um novo passo.
+ */
+const MIGRATIONS = {
+    campaigns: [
+        {
+            version: 2,
+            description: 'Completar status, datas e estatísticas das campanhas',
+            up: (campaigns) => campaigns.map(campaign => {
+                const stats = campaign.stats || {};
+                return {
+                    ...campaign,
+                    imagePath: campaign.imagePath || null,
+                    status: campaign.status || 'active',
+                    createdAt: campaign.createdAt || new Date(Number(campaign.id) || Date.now()).toISOString(),
+                    updatedAt: campaign.updatedAt || campaign.createdAt || null,
+                    stats: {
+                        totalSent: stats.totalSent || 0,
+                        totalFailed: stats.totalFailed || 0,
+                        executions: Array.isArray(stats.executions) ? stats.executions : []
+                    }
+                };
+            })
+        },
+        {
+            version: 3,
+            description: 'Associar campanhas à sessão padrão do WhatsApp',
+            up: (campaigns) => campaigns.map(campaign => ({
+                ...campaign,
+                session: campaign.session || 'default'
+            }))
+        },
+        {
+            version: 4,
+            description: 'Converter imagens das campanhas, variações e etapas em mídias',
+            up: (campaigns) => {
+                const imageMedia = (imagePath) => {
+                    if (!imagePath) return null;
+                    const extension = path.extname(imagePath).toLowerCase().replace('.', '');
+                    return {
+                        type: 'image',
+                        path: imagePath,
+                        mimetype: `image/${extension === 'jpg' ? 'jpeg' : extension}`,
+                        fileName: path.basename(imagePath),
+                        size: null
+                    };
+                };
+                const convert = ({ imagePath, ...item }) => ({ ...item, media: imageMedia(imagePath) });
+
+                return campaigns.map(campaign => ({
+                    ...convert(campaign),
+                    variants: (campaign.variants || []).map(convert),
+                    steps: (campaign.steps || []).map(step => ({
+                        ...convert(step),
+                        type: step.type === 'image' ? 'media' : step.type
+                    }))
+                }));
+            }
+        },
+        {
+            version: 5,
+            description: 'Definir o fuso horário das campanhas',
+            up: (campaigns) => campaigns.map(campaign => ({
+                ...campaign,
+                timezone: campaign.timezone || config.constants.DEFAULT_TIMEZONE
+            }))
+        }
+    ],
+
+    groups: [
+        {
+            version: 2,
+            description: 'Completar campos dos grupos',
+            up: (groups) => groups.map(group => ({
+                ...group,
+                name: group.name || 'Grupo sem nome',
+                participantsCount: group.participantsCount || 0,
+                isAdmin: Boolean(group.isAdmin),
+                description: group.description || '',
+                createdAt: group.createdAt || null
+            }))
+        },
+        {
+            version: 3,
+            description: 'Associar grupos à sessão padrão do WhatsApp',
+            up: (groups) => groups.map(group => ({
+                ...group,
+                session: group.session || 'default'
+            }))
+        }
+    ],
+
+    statistics: [
+        {
+            version: 2,
+            description: 'Completar totais e estatísticas diárias',
+            up: (stats) => {
+                const dailyStats = {};
+                for (const [date, day] of Object.entries(stats.dailyStats || {})) {
+                    dailyStats[date] = {
+                        sent: day.sent || 0,
+                        failed: day.failed || 0,
+                        groups: day.groups || 0
+                    };
+                }
+
+                return {
+                    ...stats,
+                    totalSent: stats.totalSent || 0,
+                    totalFailed: stats.totalFailed || 0,
+                    totalGroups: stats.totalGroups || 0,
+                    campaignsCreated: stats.campaignsCreated || 0,
+                    dailyStats
+                };
+            }
+        }
+    ],
+
+    settings: [
+        {
+            version: 2,
+            description: 'Completar configurações de anti-spam e segurança',
+            up: (settings) => ({
+                ...settings,
+                antiSpam: {
+                    enabled: true,
+                    intervalMinutes: 30,
+                    maxMessagesPerGroup: 10,
+                    ...(settings.antiSpam || {})
+                },
+                security: {
+                    maxReconnectAttempts: 5,
+                    reconnectDelay: 30000,
+                    ...(settings.security || {})
+                }
+            })
+        },
+        {
+            version: 3,
+            description: 'Adicionar configurações de menção aos participantes',
+            up: (settings) => ({
+                ...settings,
+                mentions: {
+                    enabled: true,
+                    maxPerGroup: 256,
+                    disabledGroups: [],
+                    ...(settings.mentions || {})
+                }
+            })
+        },
+        {
+            version: 4,
+            description: 'Adicionar números para envio de teste das campanhas',
+            up: (settings) => ({
+                ...settings,
+                testNumbers: Array.isArray(settings.testNumbers) ? settings.testNumbers : []
+            })
+        }
+    ]
+};
+
+// Versão atual de cada chave (versão 1 = dados sem controle de versão)
+const SCHEMA_VERSIONS = Object.fromEntries(
+    Object.entries(MIGRATIONS).map(([key, steps]) => [
+        key,
+        steps.reduce((max, step) => Math.max(max, step.version), 1)
+    ])
+);
+
+/**
+ * Atualizar os dados para a versão de esquema atual
+ *
+ * Todas as chaves são verificadas antes de qualquer alteração: se alguma estiver
+ * em uma versão mais nova que a suportada, nada é migrado e um erro é lançado.
+ * Havendo migrações pendentes, um backup é criado antes do primeiro passo.
+ * @param {Object} store - Driver de armazenamento
+ * @param {Object} options - Opções
+ * @param {string} options.backupDir - Diretório de backups
+ * @param {Function} options.log - Função de log
+ * @returns {Promise<Array>} Passos aplicados
+ */
+async function runMigrations(store, { backupDir = 'backups', log = console.log } = {}) {
+    const pending = [];
+
+    for (const [key, steps] of Object.entries(MIGRATIONS)) {
+        const current = await store.getVersion(key);
+        const supported = SCHEMA_VERSIONS[key];
+
+        if (current > supported) {
+            throw new Error(
+                `Dados de "${key}" estão na versão ${current}, mas esta instalação suporta até a versão ${supported}. ` +
+                'Atualize o sistema antes de iniciar.'
+            );
+        }
+
+        steps
+            .filter(step => step.version > current)
+            .sort((a, b) => a.version - b.version)
+            .forEach(step => pending.push({ key, ...step }));
+    }
+
+    if (pending.length === 0) return [];
+
+    const backupPath = await store.backup(backupDir);
+    log(`Backup dos dados criado antes da migração: ${backupPath}`);
+
+    for (const step of pending) {
+        await store.rewrite(step.key, step.up, step.version);
+        log(`Migração ${step.key} v${step.version}: ${step.description}`);
+    }
+
+    return pending.map(({ key, version, description }) => ({ key, version, description }));
+}
+
+module.exports = {
+    MIGRATIONS,
+    SCHEMA_VERSIONS,
+    runMigrations
+};
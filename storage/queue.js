@@ -0,0 +1,41 @@
+/**
+ * Fila de operações por chave
+ *
+ * Operações com a mesma chave são executadas uma de cada vez, na ordem em que
+ * foram enfileiradas; chaves diferentes não bloqueiam umas às outras.
+ */
+class KeyedQueue {
+    constructor() {
+        this.tails = new Map();
+    }
+
+    /**
+     * Enfileirar uma operação
+     * @param {string} key - Chave da fila
+     * @param {Function} task - Operação (pode ser assíncrona)
+     * @returns {Promise<*>} Resultado da operação
+     */
+    run(key, task) {
+        const previous = this.tails.get(key) || Promise.resolve();
+        const current = previous.catch(() => {}).then(task);
+        this.tails.set(key, current);
+
+        current.catch(() => {}).then(() => {
+            if (this.tails.get(key) === current) {
+                this.tails.delete(key);
+            }
+        });
+
+        return current;
+    }
+
+    /**
+     * Aguardar todas as operações pendentes
+     * @returns {Promise<void>}
+     */
+    async drain() {
+        await Promise.all([...this.tails.values()].map(p => p.catch(() => {})));
+    }
+}
+
+module.exports = KeyedQueue;
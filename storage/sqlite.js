@@ -0,0 +1,598 @@
+const fs = require('fs').promises;
+const path = require('path');
+const KeyedQueue = require('./queue');
+
+/**
+ * Driver de armazenamento em SQLite embarcado (better-sqlite3)
+ *
+ * Listas (campanhas, grupos...) são gravadas uma linha por item, e update()
+ * grava apenas os itens que mudaram; objetos (configurações) ficam em uma
+ * linha cada. Nos documentos de contadores (estatísticas), cada total fica em
+ * uma linha de counters e cada contador diário em uma linha de daily_counters,
+ * e increment() soma com UPSERT sem ler o documento. Todas as escritas
+ * acontecem em transação. A versão
+ * de esquema de cada chave fica na tabela schema_versions, e registros
+ * históricos (ex.: entregas) na tabela log_entries.
+ */
+class SqliteStorage {
+
+    /**
+     * @param {string} filePath - Caminho do banco de dados
+     * @param {Object} options - Opções
+     * @param {Object} options.keys - Mapa chave => qualquer valor (apenas as chaves são usadas)
+     * @param {Object} options.defaults - Mapa chave => função que retorna os dados iniciais
+     * @param {Object} options.schemaVersions - Mapa chave => versão de esquema atual
+     * @param {Object} options.logs - Mapa nome do registro => qualquer valor (apenas os nomes são usados)
+     * @param {Object} options.logIndexes - Mapa nome do registro => campos com índice de expressão
+     * @param {Object} options.counters - Mapa chave => { totals, daily } dos documentos de contadores
+     * @param {Object} options.recordIds - Mapa chave => função que identifica um item da lista (padrão: item.id)
+     */
+    constructor(filePath, { keys = {}, defaults = {}, schemaVersions = {}, logs = {}, logIndexes = {}, counters = {}, recordIds = {} } = {}) {
+        this.name = 'sqlite';
+        this.filePath = filePath;
+        this.keys = keys;
+        this.logs = logs;
+        this.logIndexes = logIndexes;
+        this.counters = counters;
+        this.defaults = defaults;
+        this.schemaVersions = schemaVersions;
+        this.recordIds = recordIds;
+        this.queue = new KeyedQueue();
+        this.db = null;
+    }
+
+    /**
+     * Abrir o banco e criar as tabelas
+     * @returns {Promise<void>}
+     */
+    async init() {
+        if (this.db) return;
+
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch {
+            throw new Error('Driver SQLite indisponível: instale o pacote better-sqlite3');
+        }
+
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        this.db = new Database(this.filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = NORMAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS records (
+                collection TEXT NOT NULL,
+                id TEXT NOT NULL,
+                position INTEGER NOT NULL,
+                data TEXT NOT NULL,
+                PRIMARY KEY (collection, id)
+            );
+            CREATE TABLE IF NOT EXISTS documents (
+                key TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS schema_versions (
+                key TEXT PRIMARY KEY,
+                version INTEGER NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS log_entries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                log TEXT NOT NULL,
+                timestamp TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS log_entries_log_timestamp ON log_entries (log, timestamp);
+            CREATE TABLE IF NOT EXISTS counters (
+                key TEXT NOT NULL,
+                name TEXT NOT NULL,
+                value INTEGER NOT NULL,
+                PRIMARY KEY (key, name)
+            );
+            CREATE TABLE IF NOT EXISTS daily_counters (
+                key TEXT NOT NULL,
+                day TEXT NOT NULL,
+                name TEXT NOT NULL,
+                value INTEGER NOT NULL,
+                PRIMARY KEY (key, day, name)
+            );
+        `);
+
+        // Mesma expressão usada nos filtros de query(), para que o índice seja aproveitado
+        const indexedFields = new Set(Object.values(this.logIndexes).flat().filter(field => /^\w+$/.test(field)));
+        for (const field of indexedFields) {
+            this.db.exec(
+                `CREATE INDEX IF NOT EXISTS log_entries_${field} ON log_entries (log, json_extract(data, '$.${field}'))`
+            );
+        }
+
+        this.statements = {
+            selectRecords: this.db.prepare('SELECT id, position, data FROM records WHERE collection = ? ORDER BY position'),
+            upsertRecord: this.db.prepare(`
+                INSERT INTO records (collection, id, position, data) VALUES (?, ?, ?, ?)
+                ON CONFLICT (collection, id) DO UPDATE SET position = excluded.position, data = excluded.data
+            `),
+            deleteRecord: this.db.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+            clearRecords: this.db.prepare('DELETE FROM records WHERE collection = ?'),
+            selectDocument: this.db.prepare('SELECT data FROM documents WHERE key = ?'),
+            upsertDocument: this.db.prepare(`
+                INSERT INTO documents (key, data) VALUES (?, ?)
+                ON CONFLICT (key) DO UPDATE SET data = excluded.data
+            `),
+            countRecords: this.db.prepare('SELECT COUNT(*) AS total FROM records WHERE collection = ?'),
+            selectVersion: this.db.prepare('SELECT version FROM schema_versions WHERE key = ?'),
+            upsertVersion: this.db.prepare(`
+                INSERT INTO schema_versions (key, version) VALUES (?, ?)
+                ON CONFLICT (key) DO UPDATE SET version = excluded.version
+            `),
+            insertLogEntry: this.db.prepare('INSERT INTO log_entries (log, timestamp, data) VALUES (?, ?, ?)'),
+            selectCounters: this.db.prepare('SELECT name, value FROM counters WHERE key = ?'),
+            setCounter: this.db.prepare(`
+                INSERT INTO counters (key, name, value) VALUES (?, ?, ?)
+                ON CONFLICT (key, name) DO UPDATE SET value = excluded.value
+            `),
+            addCounter: this.db.prepare(`
+                INSERT INTO counters (key, name, value) VALUES (?, ?, ?)
+                ON CONFLICT (key, name) DO UPDATE SET value = value + excluded.value
+            `),
+            deleteCounter: this.db.prepare('DELETE FROM counters WHERE key = ? AND name = ?'),
+            clearCounters: this.db.prepare('DELETE FROM counters WHERE key = ?'),
+            selectDailyCounters: this.db.prepare('SELECT day, name, value FROM daily_counters WHERE key = ? ORDER BY day'),
+            setDailyCounter: this.db.prepare(`
+                INSERT INTO daily_counters (key, day, name, value) VALUES (?, ?, ?, ?)
+                ON CONFLICT (key, day, name) DO UPDATE SET value = excluded.value
+            `),
+            addDailyCounter: this.db.prepare(`
+                INSERT INTO daily_counters (key, day, name, value) VALUES (?, ?, ?, ?)
+                ON CONFLICT (key, day, name) DO UPDATE SET value = value + excluded.value
+            `),
+            deleteDailyCounter: this.db.prepare('DELETE FROM daily_counters WHERE key = ? AND day = ? AND name = ?'),
+            clearDailyCounters: this.db.prepare('DELETE FROM daily_counters WHERE key = ?')
+        };
+
+        for (const key of Object.keys(this.keys)) {
+            const hasData = this.isCollection(key)
+                ? this.statements.countRecords.get(key).total > 0
+                : Boolean(this.statements.selectDocument.get(key));
+
+            // Dados gravados antes do controle de versão são da versão 1
+            if (!this.statements.selectVersion.get(key)) {
+                this.statements.upsertVersion.run(key, hasData ? 1 : this.schemaVersions[key] || 1);
+            }
+
+            if (!this.isCollection(key) && !hasData) {
+                this.statements.upsertDocument.run(key, JSON.stringify(this.getDefault(key)));
+            }
+        }
+
+        // Documentos de contadores gravados inteiros (bancos anteriores) passam a uma linha por contador
+        for (const key of Object.keys(this.counters).filter(key => key in this.keys)) {
+            this.db.transaction(() => {
+                const { data, snapshot } = this.load(key);
+                this.commit(key, data, snapshot);
+            })();
+        }
+    }
+
+    /**
+     * Obter dados iniciais de uma chave
+     * @param {string} key - Chave dos dados
+     * @returns {*} Dados iniciais
+     */
+    getDefault(key) {
+        return this.defaults[key] ? this.defaults[key]() : [];
+    }
+
+    /**
+     * Verificar se a chave é uma lista de registros
+     * @param {string} key - Chave dos dados
+     * @returns {boolean} Verdadeiro se for lista
+     */
+    isCollection(key) {
+        return Array.isArray(this.getDefault(key));
+    }
+
+    /**
+     * Ler dados
+     * @param {string} key - Chave dos dados
+     * @returns {Promise<*>} Dados lidos
+     */
+    async read(key) {
+        this.assertKey(key);
+        return this.load(key).data;
+    }
+
+    /**
+     * Substituir dados por completo
+     * @param {string} key - Chave dos dados
+     * @param {*} data - Novos dados
+     * @returns {Promise<*>} Dados salvos
+     */
+    write(key, data) {
+        return this.enqueue(key, async () => {
+            this.db.transaction(() => {
+                this.replace(key, data);
+                this.statements.upsertVersion.run(key, this.schemaVersions[key] || 1);
+            })();
+            return data;
+        });
+    }
+
+    /**
+     * Ler, modificar e salvar dados em uma única transação
+     * @param {string} key - Chave dos dados
+     * @param {Function} fn - Função de modificação
+     * @returns {Promise<*>} Valor retornado pela função
+     */
+    update(key, fn) {
+        return this.enqueue(key, async () => {
+            const { data, snapshot } = this.load(key);
+            const result = await fn(data);
+            this.db.transaction(() => this.commit(key, data, snapshot))();
+            return result;
+        });
+    }
+
+    /**
+     * Somar valores aos contadores de um documento, sem ler nem regravar o documento
+     * @param {string} key - Chave de um documento de contadores
+     * @param {Object} changes - { totals: { campo: valor }, day: 'AAAA-MM-DD', daily: { campo: valor } }
+     * @returns {Promise<void>}
+     */
+    increment(key, { totals = {}, day = null, daily = {} } = {}) {
+        if (!this.counters[key]) {
+            return Promise.reject(new Error(`Chave sem contadores: ${key}`));
+        }
+
+        return this.enqueue(key, async () => {
+            this.db.transaction(() => {
+                for (const [name, value] of Object.entries(totals)) {
+                    this.statements.addCounter.run(key, name, value);
+                }
+                if (!day) return;
+                for (const [name, value] of Object.entries(daily)) {
+                    this.statements.addDailyCounter.run(key, day, name, value);
+                }
+            })();
+        });
+    }
+
+    /**
+     * Obter a versão de esquema gravada
+     * @param {string} key - Chave dos dados
+     * @returns {Promise<number>} Versão do esquema
+     */
+    async getVersion(key) {
+        this.assertKey(key);
+        const row = this.statements.selectVersion.get(key);
+        return row ? row.version : 1;
+    }
+
+    /**
+     * Reescrever dados de uma chave com uma nova versão de esquema
+     * @param {string} key - Chave dos dados
+     * @param {Function} fn - Recebe os dados atuais e retorna os novos
+     * @param {number} version - Nova versão do esquema
+     * @returns {Promise<*>} Dados salvos
+     */
+    rewrite(key, fn, version) {
+        return this.enqueue(key, async () => {
+            const data = await fn(this.load(key).data);
+            this.db.transaction(() => {
+                this.replace(key, data);
+                this.statements.upsertVersion.run(key, version);
+            })();
+            return data;
+        });
+    }
+
+    /**
+     * Acrescentar uma entrada a um registro histórico
+     * @param {string} name - Nome do registro
+     * @param {Object} entry - Entrada (deve conter timestamp ISO)
+     * @returns {Promise<Object>} Entrada gravada
+     */
+    async append(name, entry) {
+        this.assertLog(name);
+        this.statements.insertLogEntry.run(name, entry.timestamp, JSON.stringify(entry));
+        return entry;
+    }
+
+    /**
+     * Consultar um registro histórico (mais recentes primeiro)
+     * @param {string} name - Nome do registro
+     * @param {Object} filter - Filtros (mesmo formato do driver JSON)
+     * @returns {Promise<Object>} { total, items }
+     */
+    async query(name, { where = {}, from, to, limit = 100, offset = 0 } = {}) {
+        this.assertLog(name);
+
+        const conditions = ['log = ?'];
+        const params = [name];
+
+        if (from) {
+            conditions.push('timestamp >= ?');
+            params.push(from);
+        }
+        if (to) {
+            conditions.push('timestamp <= ?');
+            params.push(to);
+        }
+        for (const [field, value] of Object.entries(where)) {
+            if (!/^\w+$/.test(field)) {
+                throw new Error(`Campo de filtro inválido: ${field}`);
+            }
+            conditions.push(`json_extract(data, '$.${field}') = ?`);
+            params.push(value);
+        }
+
+        const clause = conditions.join(' AND ');
+        const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM log_entries WHERE ${clause}`).get(...params);
+        const rows = this.db
+            .prepare(`SELECT data FROM log_entries WHERE ${clause} ORDER BY timestamp DESC, id DESC LIMIT ? OFFSET ?`)
+            .all(...params, Number.isFinite(limit) ? limit : -1, offset);
+
+        return {
+            total,
+            items: rows.map(row => JSON.parse(row.data))
+        };
+    }
+
+    /**
+     * Copiar o banco para um diretório de backup
+     * @param {string} backupDir - Diretório de backups
+     * @returns {Promise<string>} Caminho do backup criado
+     */
+    async backup(backupDir) {
+        await this.queue.drain();
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const backupPath = path.join(backupDir, `backup-${timestamp}`);
+
+        await fs.mkdir(backupPath, { recursive: true });
+        await this.db.backup(path.join(backupPath, path.basename(this.filePath)));
+        return backupPath;
+    }
+
+    /**
+     * Aguardar escritas pendentes e fechar o banco
+     * @returns {Promise<void>}
+     */
+    async close() {
+        await this.queue.drain();
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    /**
+     * Garantir que a chave existe e o banco está aberto
+     * @param {string} key - Chave dos dados
+     */
+    assertKey(key) {
+        if (!(key in this.keys)) {
+            throw new Error(`Chave de dados desconhecida: ${key}`);
+        }
+        if (!this.db) {
+            throw new Error('Banco SQLite não inicializado');
+        }
+    }
+
+    /**
+     * Garantir que o registro histórico existe e o banco está aberto
+     * @param {string} name - Nome do registro
+     */
+    assertLog(name) {
+        if (!(name in this.logs)) {
+            throw new Error(`Registro desconhecido: ${name}`);
+        }
+        if (!this.db) {
+            throw new Error('Banco SQLite não inicializado');
+        }
+    }
+
+    /**
+     * Encadear uma operação na fila da chave
+     * @param {string} key - Chave dos dados
+     * @param {Function} task - Operação
+     * @returns {Promise<*>} Resultado da operação
+     */
+    enqueue(key, task) {
+        try {
+            this.assertKey(key);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        return this.queue.run(key, task);
+    }
+
+    /**
+     * Carregar dados e o estado salvo de cada registro
+     * @param {string} key - Chave dos dados
+     * @returns {Object} { data, snapshot }
+     */
+    load(key) {
+        if (this.counters[key]) {
+            return this.loadCounters(key);
+        }
+
+        if (!this.isCollection(key)) {
+            const row = this.statements.selectDocument.get(key);
+            const data = row ? JSON.parse(row.data) : this.getDefault(key);
+            return { data, snapshot: row ? row.data : null };
+        }
+
+        const snapshot = new Map();
+        const data = this.statements.selectRecords.all(key).map(row => {
+            snapshot.set(row.id, { position: row.position, data: row.data });
+            return JSON.parse(row.data);
+        });
+        return { data, snapshot };
+    }
+
+    /**
+     * Carregar um documento de contadores: o documento mais as linhas de cada contador
+     * @param {string} key - Chave dos dados
+     * @returns {Object} { data, snapshot }
+     */
+    loadCounters(key) {
+        const row = this.statements.selectDocument.get(key);
+        const data = row ? JSON.parse(row.data) : this.getDefault(key);
+        const { daily } = this.counters[key];
+        // O estado carregado são as linhas gravadas (um documento antigo inteiro ainda não tem linhas)
+        const snapshot = { document: row ? row.data : null, totals: new Map(), daily: new Map() };
+
+        for (const { name, value } of this.statements.selectCounters.all(key)) {
+            data[name] = value;
+            snapshot.totals.set(name, value);
+        }
+        if (!data[daily]) data[daily] = {};
+        for (const { day, name, value } of this.statements.selectDailyCounters.all(key)) {
+            if (!data[daily][day]) data[daily][day] = {};
+            data[daily][day][name] = value;
+            snapshot.daily.set(`${day} ${name}`, { day, name, value });
+        }
+
+        return { data, snapshot };
+    }
+
+    /**
+     * Separar um documento de contadores no restante do documento e em cada contador
+     * @param {string} key - Chave dos dados
+     * @param {Object} data - Documento
+     * @returns {Object} { rest, totals: Map nome => valor, daily: Map 'dia nome' => { day, name, value } }
+     */
+    splitCounters(key, data) {
+        const { totals: fields, daily: dailyField } = this.counters[key];
+        const rest = { ...data };
+        const totals = new Map();
+        const daily = new Map();
+
+        delete rest[dailyField];
+        for (const field of fields) {
+            if (typeof data[field] === 'number') {
+                totals.set(field, data[field]);
+                delete rest[field];
+            }
+        }
+        for (const [day, values] of Object.entries(data[dailyField] || {})) {
+            for (const [name, value] of Object.entries(values || {})) {
+                if (typeof value === 'number') daily.set(`${day} ${name}`, { day, name, value });
+            }
+        }
+
+        return { rest, totals, daily };
+    }
+
+    /**
+     * Identificar um item de lista
+     * @param {string} key - Chave dos dados
+     * @param {Object} item - Item
+     * @param {number} position - Posição na lista
+     * @returns {string} Identificador
+     */
+    recordId(key, item, position) {
+        if (this.recordIds[key]) {
+            return String(this.recordIds[key](item));
+        }
+        return item && item.id !== undefined ? String(item.id) : `#${position}`;
+    }
+
+    /**
+     * Substituir todos os dados de uma chave (usar dentro de transação)
+     * @param {string} key - Chave dos dados
+     * @param {*} data - Novos dados
+     */
+    replace(key, data) {
+        if (this.isCollection(key)) {
+            this.statements.clearRecords.run(key);
+        }
+        if (this.counters[key]) {
+            this.statements.clearCounters.run(key);
+            this.statements.clearDailyCounters.run(key);
+        }
+        this.commit(key, data, null);
+    }
+
+    /**
+     * Gravar apenas o que mudou em relação ao estado carregado
+     * @param {string} key - Chave dos dados
+     * @param {*} data - Dados atuais
+     * @param {Map|string|null} snapshot - Estado carregado
+     */
+    commit(key, data, snapshot) {
+        if (this.counters[key]) {
+            this.commitCounters(key, data, snapshot);
+            return;
+        }
+
+        if (!this.isCollection(key)) {
+            const serialized = JSON.stringify(data);
+            if (serialized !== snapshot) {
+                this.statements.upsertDocument.run(key, serialized);
+            }
+            return;
+        }
+
+        if (!Array.isArray(data)) {
+            throw new Error(`Dados de ${key} devem ser uma lista`);
+        }
+
+        const seen = new Set();
+        data.forEach((item, position) => {
+            const id = this.recordId(key, item, position);
+            const serialized = JSON.stringify(item);
+            const previous = snapshot ? snapshot.get(id) : null;
+            seen.add(id);
+
+            if (!previous || previous.data !== serialized || previous.position !== position) {
+                this.statements.upsertRecord.run(key, id, position, serialized);
+            }
+        });
+
+        if (snapshot) {
+            for (const id of snapshot.keys()) {
+                if (!seen.has(id)) {
+                    this.statements.deleteRecord.run(key, id);
+                }
+            }
+        }
+    }
+
+    /**
+     * Gravar apenas os contadores que mudaram em relação ao estado carregado
+     * @param {string} key - Chave dos dados
+     * @param {Object} data - Documento atual
+     * @param {Object|null} snapshot - Estado carregado (loadCounters)
+     */
+    commitCounters(key, data, snapshot) {
+        const { rest, totals, daily } = this.splitCounters(key, data);
+
+        const serialized = JSON.stringify(rest);
+        if (serialized !== snapshot?.document) {
+            this.statements.upsertDocument.run(key, serialized);
+        }
+
+        for (const [name, value] of totals) {
+            if (snapshot?.totals.get(name) !== value) {
+                this.statements.setCounter.run(key, name, value);
+            }
+        }
+        for (const [id, { day, name, value }] of daily) {
+            if (snapshot?.daily.get(id)?.value !== value) {
+                this.statements.setDailyCounter.run(key, day, name, value);
+            }
+        }
+
+        if (snapshot) {
+            for (const name of snapshot.totals.keys()) {
+                if (!totals.has(name)) this.statements.deleteCounter.run(key, name);
+            }
+            for (const [id, { day, name }] of snapshot.daily) {
+                if (!daily.has(id)) this.statements.deleteDailyCounter.run(key, day, name);
+            }
+        }
+    }
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,178 @@
+const { config } = require('./config');
+
+/**
+ * Modelos de mensagem das campanhas
+ *
+ * A mensagem pode conter variáveis no formato {{nome}}, substituídas no
+ * momento do envio para cada grupo. Além das variáveis abaixo, a campanha pode
+ * definir as suas em campaign.variables ({ chave: valor }).
+ *
+ * Trechos em spintax ({Olá|Oi|E aí}) são sorteados a cada envio, de modo que
+ * cada grupo receba um texto ligeiramente diferente. Podem ser aninhados.
+ */
+
+// Variáveis disponíveis em todas as campanhas
+const BUILT_IN_VARIABLES = {
+    grupo: 'Nome do grupo',
+    participantes: 'Quantidade de participantes do grupo',
+    data: 'Data do envio (dd/mm/aaaa)',
+    dia_semana: 'Dia da semana do envio',
+    hora: 'Hora do envio (hh:mm)',
+    campanha: 'Nome da campanha'
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+const VARIABLE_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+const MAX_CUSTOM_VARIABLES = 20;
+const MAX_VARIABLE_LENGTH = 500;
+
+// Trecho de spintax mais interno: {a|b|c} sem outras chaves dentro
+const SPINTAX_PATTERN = /\{([^{}]*\|[^{}]*)\}/;
+
+/**
+ * Listar as variáveis usadas em um texto
+ * @param {string} text - Texto do modelo
+ * @returns {Array} Nomes das variáveis, sem repetição
+ */
+function extractVariables(text) {
+    const names = new Set();
+    for (const match of String(text || '').matchAll(PLACEHOLDER_PATTERN)) {
+        names.add(match[1]);
+    }
+    return [...names];
+}
+
+/**
+ * Validar as variáveis personalizadas de uma campanha
+ * @param {Object} variables - Mapa nome => valor
+ * @returns {Object} Resultado da validação
+ */
+function validateVariables(variables) {
+    const errors = [];
+
+    if (variables === null || typeof variables !== 'object' || Array.isArray(variables)) {
+        return { valid: false, errors: ['Variáveis devem ser um objeto { nome: valor }'] };
+    }
+
+    const entries = Object.entries(variables);
+    if (entries.length > MAX_CUSTOM_VARIABLES) {
+        errors.push(`Máximo de ${MAX_CUSTOM_VARIABLES} variáveis por campanha`);
+    }
+
+    for (const [name, value] of entries) {
+        if (!VARIABLE_NAME_PATTERN.test(name)) {
+            errors.push(`Nome de variável inválido: ${name} (use letras, números e _)`);
+        } else if (Object.hasOwn(BUILT_IN_VARIABLES, name)) {
+            errors.push(`A variável {{${name}}} é do sistema e não pode ser redefinida`);
+        }
+
+        if (typeof value !== 'string' && typeof value !== 'number') {
+            errors.push(`Valor da variável ${name} deve ser texto`);
+        } else if (String(value).length > MAX_VARIABLE_LENGTH) {
+            errors.push(`Valor da variável ${name} deve ter no máximo ${MAX_VARIABLE_LENGTH} caracteres`);
+        }
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validar um modelo de mensagem
+ * @param {string} text - Texto do modelo
+ * @param {Object} variables - Variáveis personalizadas da campanha
+ * @returns {Object} Resultado da validação
+ */
+function validateTemplate(text, variables = {}) {
+    const unknown = extractVariables(text).filter(name =>
+        !Object.hasOwn(BUILT_IN_VARIABLES, name) && !Object.hasOwn(variables, name)
+    );
+
+    return {
+        valid: unknown.length === 0,
+        errors: unknown.map(name => `Variável desconhecida na mensagem: {{${name}}}`),
+        unknown
+    };
+}
+
+/**
+ * Valores de data e hora no fuso da campanha
+ * @param {Date} date - Momento do envio
+ * @param {string} timezone - Fuso horário IANA
+ * @returns {Object} { data, dia_semana, hora }
+ */
+function dateVariables(date, timezone) {
+    const format = (options) => new Intl.DateTimeFormat('pt-BR', { timeZone: timezone, ...options }).format(date);
+
+    return {
+        data: format({ day: '2-digit', month: '2-digit', year: 'numeric' }),
+        dia_semana: format({ weekday: 'long' }),
+        hora: format({ hour: '2-digit', minute: '2-digit', hour12: false })
+    };
+}
+
+/**
+ * Sortear as alternativas de spintax de um texto
+ *
+ * As variáveis {{nome}} são preservadas; chaves sem "|" ficam como estão.
+ * @param {string} text - Texto com spintax
+ * @param {Function} random - Gerador de números entre 0 e 1 (padrão: Math.random)
+ * @returns {string} Texto com uma alternativa escolhida em cada trecho
+ */
+function expandSpintax(text, random = Math.random) {
+    if (!text || !text.includes('|')) return text;
+
+    // Proteger as variáveis para que suas chaves não sejam lidas como spintax
+    const placeholders = [];
+    let result = text.replace(PLACEHOLDER_PATTERN, (placeholder) => {
+        placeholders.push(placeholder);
+        return `\u0000${placeholders.length - 1}\u0000`;
+    });
+
+    let match;
+    while ((match = SPINTAX_PATTERN.exec(result)) !== null) {
+        const options = match[1].split('|');
+        const choice = options[Math.floor(random() * options.length)];
+        result = result.slice(0, match.index) + choice + result.slice(match.index + match[0].length);
+    }
+
+    return result.replace(/\u0000(\d+)\u0000/g, (_, index) => placeholders[index]);
+}
+
+/**
+ * Montar a mensagem de um grupo
+ * @param {string} text - Texto do modelo
+ * @param {Object} context - Contexto do envio
+ * @param {Object} context.campaign - Campanha
+ * @param {Object} context.group - Grupo de destino
+ * @param {Date} context.date - Momento do envio (padrão: agora)
+ * @returns {string} Mensagem com as variáveis substituídas
+ */
+function renderTemplate(text, { campaign = {}, group = {}, date = new Date() } = {}) {
+    if (!text || !text.includes('{{')) return text;
+
+    const timezone = campaign.timezone || config.constants.DEFAULT_TIMEZONE;
+    const values = {
+        ...(campaign.variables || {}),
+        grupo: group.name || '',
+        participantes: String(group.participantsCount ?? ''),
+        campanha: campaign.name || '',
+        ...dateVariables(date, timezone)
+    };
+
+    // Variáveis desconhecidas ficam como estão
+    return text.replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+        Object.hasOwn(values, name) ? String(values[name]) : placeholder
+    );
+}
+
+module.exports = {
+    BUILT_IN_VARIABLES,
+    extractVariables,
+    expandSpintax,
+    validateVariables,
+    validateTemplate,
+    renderTemplate
+};
@@ -0,0 +1,193 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+/**
+ * Campanhas de ponta a ponta com o WhatsApp simulado (MOCK_WHATSAPP=true)
+ *
+ * O servidor roda em um processo separado, com um diretório temporário como
+ * diretório de trabalho (dados, uploads e credenciais ficam lá), e é
+ * controlado pela API e pelas rotas /api/dev/mock.
+ */
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+const GROUPS = [1, 2, 3].map(index => `12036300000000000${index}@g.us`);
+
+// Porta livre para o servidor de teste
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// Repetir a verificação até ela retornar um valor verdadeiro
+async function waitFor(check, { timeout = 15000, interval = 100, message = 'condição' } = {}) {
+    const deadline = Date.now() + timeout;
+    let last;
+    while (Date.now() < deadline) {
+        try {
+            last = await check();
+            if (last) return last;
+        } catch {
+            // Servidor ainda subindo
+        }
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+    throw new Error(`Tempo esgotado aguardando ${message} (último valor: ${JSON.stringify(last)})`);
+}
+
+describe('campanhas com o WhatsApp simulado', () => {
+    let dir;
+    let child;
+    let baseUrl;
+    let output = '';
+
+    async function api(method, url, body) {
+        const options = { method };
+        if (body instanceof FormData) {
+            options.body = body;
+        } else if (body !== undefined) {
+            options.headers = { 'Content-Type': 'application/json' };
+            options.body = JSON.stringify(body);
+        }
+
+        const response = await fetch(`${baseUrl}${url}`, options);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(`${method} ${url}: ${response.status} ${JSON.stringify(data)}`);
+        }
+        return data;
+    }
+
+    // Criar uma campanha de envio imediato e aguardar a execução dela terminar
+    async function runCampaign(name, message, targetGroups = GROUPS) {
+        const form = new FormData();
+        form.append('name', name);
+        form.append('message', message);
+        form.append('targetGroups', JSON.stringify(targetGroups));
+        form.append('schedule', JSON.stringify({ type: 'now' }));
+        const { campaign } = await api('POST', '/api/campaigns', form);
+
+        const finished = await waitFor(async () => {
+            const [execution] = await api('GET', `/api/executions?campaignId=${campaign.id}`);
+            return execution && execution.finishedAt ? execution : null;
+        }, { message: `execução da campanha "${name}"` });
+
+        return { campaign, execution: await api('GET', `/api/executions/${finished.id}`) };
+    }
+
+    // Mensagens recebidas pelo WhatsApp simulado com o texto informado
+    async function sentWith(text) {
+        const { sent } = await api('GET', '/api/dev/mock?limit=200');
+        return sent.filter(message => message.content.text === text);
+    }
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-divulgacoes-test-'));
+        const port = await freePort();
+        baseUrl = `http://localhost:${port}`;
+
+        child = spawn(process.execPath, [SERVER], {
+            cwd: dir,
+            env: {
+                ...process.env,
+                PORT: String(port),
+                MOCK_WHATSAPP: 'true',
+                ENABLE_TEST_MODE: 'true',
+                MOCK_WHATSAPP_SCAN_DELAY: '100',
+                MOCK_WHATSAPP_SEND_DELAY: '10',
+                CAMPAIGNS_MIN_SEND_GAP: '200',
+                ANTI_SPAM_RETRY_DELAY: '200',
+                ANTI_SPAM_MAX_RETRIES: '2',
+                LOG_ENABLE_FILE: 'false'
+            },
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        child.stdout.on('data', chunk => { output += chunk; });
+        child.stderr.on('data', chunk => { output += chunk; });
+
+        try {
+            await waitFor(async () => (await api('GET', '/health')).connection === 'connected', {
+                message: 'conexão do WhatsApp simulado'
+            });
+        } catch (error) {
+            error.message += `\n${output}`;
+            throw error;
+        }
+
+        // Reconexão rápida para o teste de desconexão
+        const settings = await api('GET', '/api/settings');
+        await api('PUT', '/api/settings', { ...settings, security: { ...settings.security, reconnectDelay: 300 } });
+        await api('POST', '/api/groups/refresh');
+    });
+
+    after(async () => {
+        if (child && child.exitCode === null) {
+            const exited = new Promise(resolve => child.once('exit', resolve));
+            child.kill();
+            await exited;
+        }
+        if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('envia a mensagem uma vez para cada grupo', async () => {
+        const { execution } = await runCampaign('Envio', 'mensagem de envio');
+
+        assert.equal(execution.status, 'finished');
+        assert.equal(execution.sent, GROUPS.length);
+        assert.equal(execution.failed, 0);
+
+        const sent = await sentWith('mensagem de envio');
+        assert.deepEqual(sent.map(message => message.jid).sort(), [...GROUPS].sort());
+
+        const deliveries = await api('GET', `/api/deliveries?executionId=${execution.id}&status=sent`);
+        assert.equal(deliveries.total, GROUPS.length);
+    });
+
+    test('tenta de novo o grupo com falha temporária', async () => {
+        await api('PUT', '/api/dev/mock/failures', { next: 1 });
+
+        const { execution } = await runCampaign('Nova tentativa', 'mensagem com falha');
+
+        assert.equal(execution.sent, GROUPS.length);
+        assert.equal(execution.failed, 0);
+        const retried = execution.jobs.filter(job => job.attempts.length > 0);
+        assert.equal(retried.length, 1);
+        assert.equal(retried[0].state, 'sent');
+        assert.equal((await sentWith('mensagem com falha')).length, GROUPS.length);
+    });
+
+    test('retoma os envios depois de uma desconexão', async () => {
+        const form = new FormData();
+        form.append('name', 'Desconexão');
+        form.append('message', 'mensagem com desconexão');
+        form.append('targetGroups', JSON.stringify(GROUPS));
+        form.append('schedule', JSON.stringify({ type: 'now' }));
+        const { campaign } = await api('POST', '/api/campaigns', form);
+
+        // Derrubar a conexão depois do primeiro envio
+        await waitFor(async () => (await sentWith('mensagem com desconexão')).length >= 1, { message: 'primeiro envio' });
+        await api('POST', '/api/dev/mock/disconnect', {});
+        assert.notEqual((await api('GET', '/health')).connection, 'connected');
+        assert.ok((await sentWith('mensagem com desconexão')).length < GROUPS.length);
+
+        const execution = await waitFor(async () => {
+            const [current] = await api('GET', `/api/executions?campaignId=${campaign.id}`);
+            return current && current.finishedAt ? current : null;
+        }, { message: 'execução retomada' });
+
+        assert.equal(execution.sent, GROUPS.length);
+        const sent = await sentWith('mensagem com desconexão');
+        assert.deepEqual(sent.map(message => message.jid).sort(), [...GROUPS].sort());
+    });
+});
@@ -0,0 +1,114 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { makeWASocket, useMultiFileAuthState, Browsers, BufferJSON } = require('@whiskeysockets/baileys');
+
+// Pares de chaves obrigatórios em creds.json (chaves Curve25519 de 32 bytes)
+const REQUIRED_KEY_PAIRS = ['noiseKey', 'pairingEphemeralKeyPair', 'signedIdentityKey', 'signedPreKey.keyPair'];
+
+/**
+ * Transporte real: socket do Baileys com autenticação em arquivos
+ */
+class BaileysTransport {
+
+    constructor() {
+        this.name = 'baileys';
+    }
+
+    /**
+     * Abrir um socket do WhatsApp
+     * @param {Object} options - Opções
+     * @param {string} options.authDir - Diretório de autenticação da sessão
+     * @param {Function} options.getMessage - Função assíncrona que devolve uma mensagem enviada pela chave
+     * @returns {Promise<Object>} { sock, saveCreds }
+     */
+    async createSocket({ authDir, getMessage }) {
+        await fs.mkdir(authDir, { recursive: true });
+        const { state, saveCreds } = await useMultiFileAuthState(authDir);
+
+        const sock = makeWASocket({
+            auth: state,
+            printQRInTerminal: false,
+            browser: Browsers.macOS('Chrome'),
+            defaultQueryTimeoutMs: 60000,
+            connectTimeoutMs: 60000,
+            keepAliveIntervalMs: 10000,
+            // Prévia dos links enviados nas etapas do tipo link
+            generateHighQualityLinkPreview: true,
+            // Necessário para decifrar os votos das enquetes
+            getMessage,
+        });
+
+        return { sock, saveCreds };
+    }
+
+    /**
+     * Ler as credenciais salvas
+     * @param {string} authDir - Diretório de autenticação da sessão
+     * @returns {Promise<Object|null>} Credenciais ou null se não existirem
+     */
+    async loadCreds(authDir) {
+        try {
+            return JSON.parse(await fs.readFile(path.join(authDir, 'creds.json'), 'utf8'));
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Verificar se as credenciais salvas podem ser carregadas
+     *
+     * Lê todos os arquivos da autenticação da mesma forma que o Baileys
+     * (BufferJSON.reviver) e confere as chaves essenciais de creds.json.
+     * @param {string} authDir - Diretório de autenticação da sessão
+     * @returns {Promise<Object>} { exists, valid, registered, account, files, problems }
+     */
+    async checkCredentials(authDir) {
+        const report = { exists: false, valid: false, registered: false, account: null, files: 0, problems: [] };
+
+        let names;
+        try {
+            names = (await fs.readdir(authDir)).filter(name => name.endsWith('.json'));
+        } catch {
+            return report;
+        }
+
+        report.files = names.length;
+        if (!names.includes('creds.json')) {
+            if (names.length > 0) report.problems.push('creds.json não encontrado');
+            return report;
+        }
+        report.exists = true;
+
+        let creds = null;
+        for (const name of names) {
+            try {
+                const value = JSON.parse(await fs.readFile(path.join(authDir, name), 'utf8'), BufferJSON.reviver);
+                if (name === 'creds.json') creds = value;
+            } catch {
+                report.problems.push(`${name} está corrompido`);
+            }
+        }
+
+        if (creds) {
+            for (const keyPath of REQUIRED_KEY_PAIRS) {
+                const pair = keyPath.split('.').reduce((value, part) => value?.[part], creds);
+                const valid = pair && [pair.private, pair.public].every(key => Buffer.isBuffer(key) && key.length === 32);
+                if (!valid) report.problems.push(`Chave ${keyPath} ausente ou inválida`);
+            }
+            if (!Number.isInteger(creds.registrationId)) {
+                report.problems.push('registrationId ausente');
+            }
+            if (typeof creds.advSecretKey !== 'string') {
+                report.problems.push('advSecretKey ausente');
+            }
+
+            report.registered = Boolean(creds.me);
+            report.account = creds.me?.id || null;
+        }
+
+        report.valid = Boolean(creds) && report.problems.length === 0;
+        return report;
+    }
+}
+
+module.exports = BaileysTransport;
@@ -0,0 +1,32 @@
+const BaileysTransport = require('./baileys');
+const MockTransport = require('./mock');
+
+/**
+ * Transporte do WhatsApp
+ *
+ * Todo transporte expõe a mesma interface:
+ *   createSocket({ authDir, getMessage }) - abre um socket e retorna { sock, saveCreds };
+ *                             getMessage devolve mensagens enviadas (usado para decifrar votos de enquetes)
+ *   loadCreds(authDir)        - credenciais salvas da sessão (ou null)
+ *   checkCredentials(authDir) - verifica se as credenciais salvas podem ser carregadas
+ *
+ * O socket segue a interface do Baileys (ev, user, authState, sendMessage,
+ * groupFetchAllParticipating, groupMetadata, requestPairingCode, logout, end).
+ */
+
+/**
+ * Criar o transporte: Baileys ou simulado (config.development.mockWhatsApp)
+ * @param {Object} options - Opções
+ * @param {boolean} options.mock - Usar o transporte simulado
+ * @param {Object} options.mockOptions - Opções do transporte simulado
+ * @returns {BaileysTransport|MockTransport} Transporte
+ */
+function createTransport({ mock = false, mockOptions = {} } = {}) {
+    return mock ? new MockTransport(mockOptions) : new BaileysTransport();
+}
+
+module.exports = {
+    createTransport,
+    BaileysTransport,
+    MockTransport
+};
@@ -0,0 +1,459 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { DisconnectReason } = require('@whiskeysockets/baileys');
+
+// Status de entrega usados pelo WhatsApp (proto.WebMessageInfo.Status)
+const MESSAGE_STATUS = {
+    SERVER_ACK: 2,
+    DELIVERY_ACK: 3,
+    READ: 4
+};
+
+const MAX_SENT_HISTORY = 200;
+
+/**
+ * Criar um erro no formato do Boom, como os que o Baileys emite ao desconectar
+ * @param {string} message - Mensagem
+ * @param {number} statusCode - Código do DisconnectReason
+ * @returns {Error} Erro com output.statusCode
+ */
+function disconnectError(message, statusCode) {
+    const error = new Error(message);
+    error.output = { statusCode, payload: { statusCode, message } };
+    return error;
+}
+
+// Enquete no formato gerado pelo Baileys, com a chave usada para cifrar os votos
+function pollCreationMessage({ name, values, selectableCount = 0 }) {
+    return {
+        pollCreationMessage: {
+            name,
+            options: values.map(optionName => ({ optionName })),
+            selectableOptionsCount: selectableCount
+        },
+        messageContextInfo: { messageSecret: crypto.randomBytes(32) }
+    };
+}
+
+function randomDigits(length) {
+    return Array.from({ length }, () => crypto.randomInt(10)).join('');
+}
+
+/**
+ * Gerar uma lista de grupos de teste
+ * @param {number} count - Quantidade de grupos
+ * @returns {Array} Grupos { id, name, participants, description }
+ */
+function generateGroups(count) {
+    return Array.from({ length: count }, (_, index) => ({
+        id: `1203630000000${String(index + 1).padStart(5, '0')}@g.us`,
+        name: `Grupo de Teste ${index + 1}`,
+        participants: Array.from({ length: 3 + index * 2 }, (_, n) =>
+            `55119${String(index + 1).padStart(4, '0')}${String(n).padStart(4, '0')}@s.whatsapp.net`
+        ),
+        description: 'Grupo simulado para desenvolvimento'
+    }));
+}
+
+/**
+ * Socket simulado com a mesma interface usada do socket do Baileys
+ *
+ * Reproduz o fluxo de login (QR Code ou código de pareamento seguido do
+ * reinício exigido pelo WhatsApp), a lista de grupos, envios com sucesso ou
+ * falha, as confirmações de entrega e leitura e os votos em enquetes.
+ */
+class MockSocket {
+
+    constructor(transport, { authDir, creds, getMessage }) {
+        this.transport = transport;
+        this.authDir = authDir;
+        this.getMessage = getMessage || (async () => undefined);
+        this.ev = new EventEmitter();
+        this.authState = { creds };
+        this.user = undefined;
+        this.closed = false;
+        this.timers = new Set();
+    }
+
+    later(fn, delay) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            if (!this.closed) fn();
+        }, delay);
+        this.timers.add(timer);
+    }
+
+    start() {
+        this.ev.emit('connection.update', { connection: 'connecting' });
+
+        if (this.authState.creds.me) {
+            this.later(() => this.open(), 300);
+            return;
+        }
+
+        this.ev.emit('connection.update', { qr: `mock-qr:${crypto.randomBytes(16).toString('hex')}` });
+
+        if (this.transport.scanDelay > 0) {
+            this.later(() => this.simulateScan().catch(error => {
+                console.error('Erro ao simular a leitura do QR Code:', error);
+            }), this.transport.scanDelay);
+        }
+    }
+
+    open() {
+        const { me } = this.authState.creds;
+        this.user = { id: me.id, name: me.name };
+        this.ev.emit('connection.update', { connection: 'open' });
+    }
+
+    /**
+     * Simular a leitura do QR Code (ou a digitação do código de pareamento)
+     * @param {string} phoneNumber - Número vinculado (padrão: aleatório)
+     * @returns {Promise<void>}
+     */
+    async simulateScan(phoneNumber) {
+        if (this.closed || this.authState.creds.me) return;
+
+        const number = phoneNumber || this.pairingNumber || `55119${randomDigits(8)}`;
+        this.authState.creds = {
+            ...this.authState.creds,
+            registered: true,
+            me: { id: `${number}@s.whatsapp.net`, name: `Mock ${number.slice(-4)}` }
+        };
+
+        await this.transport.saveCreds(this.authDir, this.authState.creds);
+        this.ev.emit('creds.update', this.authState.creds);
+
+        // Assim como no WhatsApp real, o primeiro login termina com pedido de reinício
+        this.close(DisconnectReason.restartRequired, 'Restart Required');
+    }
+
+    /**
+     * Simular uma desconexão
+     * @param {number} statusCode - Código do DisconnectReason
+     */
+    simulateDisconnect(statusCode = DisconnectReason.connectionLost) {
+        this.close(statusCode, 'Desconexão simulada');
+    }
+
+    /**
+     * Simular o voto de um participante em uma enquete enviada
+     *
+     * Assim como no Baileys, o voto só é entregue se a enquete for encontrada
+     * via getMessage, e as opções chegam como hash SHA-256.
+     * @param {string} messageId - Id da mensagem da enquete
+     * @param {Object} options - Opções
+     * @param {string} options.voter - Participante que votou (padrão: primeiro do grupo)
+     * @param {Array} options.options - Opções escolhidas (vazio = retirar o voto)
+     * @returns {Promise<Object>} { voter }
+     */
+    async simulateVote(messageId, { voter, options = [] } = {}) {
+        const sent = this.transport.sent.find(entry => entry.id === messageId);
+        if (!sent) {
+            throw new Error('Enquete não encontrada');
+        }
+
+        const key = { remoteJid: sent.jid, fromMe: true, id: messageId };
+        const pollMessage = await this.getMessage(key);
+        const creation = pollMessage?.pollCreationMessage;
+        if (!creation || !pollMessage.messageContextInfo?.messageSecret) {
+            throw new Error('A enquete não foi encontrada pelo getMessage; o voto não pode ser decifrado');
+        }
+
+        const unknown = options.filter(option => !creation.options.some(o => o.optionName === option));
+        if (unknown.length > 0) {
+            throw new Error(`Opções inexistentes na enquete: ${unknown.join(', ')}`);
+        }
+
+        const group = this.transport.groups.find(g => g.id === sent.jid);
+        const voterJid = voter || group?.participants[0] || sent.jid;
+
+        this.ev.emit('messages.update', [{
+            key,
+            update: {
+                pollUpdates: [{
+                    pollUpdateMessageKey: {
+                        remoteJid: sent.jid,
+                        fromMe: false,
+                        id: `MOCK${crypto.randomBytes(8).toString('hex').toUpperCase()}`,
+                        participant: voterJid
+                    },
+                    vote: { selectedOptions: options.map(option => crypto.createHash('sha256').update(option).digest()) },
+                    senderTimestampMs: Date.now()
+                }]
+            }
+        }]);
+
+        return { voter: voterJid };
+    }
+
+    close(statusCode, message) {
+        if (this.closed) return;
+        this.closed = true;
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        this.transport.sockets.delete(this);
+
+        this.ev.emit('connection.update', {
+            connection: 'close',
+            lastDisconnect: { error: disconnectError(message, statusCode), date: new Date() }
+        });
+    }
+
+    assertOpen() {
+        if (this.closed || !this.user) {
+            throw disconnectError('Connection Closed', DisconnectReason.connectionClosed);
+        }
+    }
+
+    async requestPairingCode(phoneNumber) {
+        if (this.closed) {
+            throw disconnectError('Connection Closed', DisconnectReason.connectionClosed);
+        }
+
+        this.pairingNumber = phoneNumber;
+        return crypto.randomBytes(4).toString('hex').toUpperCase();
+    }
+
+    async groupFetchAllParticipating() {
+        this.assertOpen();
+
+        return Object.fromEntries(this.transport.groups.map((group, index) => [
+            group.id,
+            this.groupInfo(group, index)
+        ]));
+    }
+
+    async groupMetadata(jid) {
+        this.assertOpen();
+
+        const index = this.transport.groups.findIndex(group => group.id === jid);
+        if (index === -1) {
+            throw disconnectError('item-not-found', 404);
+        }
+        return this.groupInfo(this.transport.groups[index], index);
+    }
+
+    // A conta conectada participa de todos os grupos e é administradora do primeiro
+    groupInfo(group, index) {
+        return {
+            id: group.id,
+            subject: group.name,
+            desc: group.description || '',
+            creation: Math.floor(new Date('2024-01-01T00:00:00Z').getTime() / 1000),
+            participants: [
+                { id: this.user.id, admin: index === 0 ? 'admin' : null },
+                ...group.participants.map(id => ({ id, admin: null }))
+            ]
+        };
+    }
+
+    async sendMessage(jid, content) {
+        this.assertOpen();
+
+        if (this.transport.sendDelay > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.transport.sendDelay));
+            this.assertOpen();
+        }
+
+        const failure = this.transport.nextFailure(jid);
+        if (failure) {
+            throw new Error(failure);
+        }
+
+        const message = {
+            key: { remoteJid: jid, fromMe: true, id: `MOCK${crypto.randomBytes(8).toString('hex').toUpperCase()}` },
+            message: content.poll ? pollCreationMessage(content.poll) : content,
+            messageTimestamp: Math.floor(Date.now() / 1000),
+            status: MESSAGE_STATUS.SERVER_ACK
+        };
+
+        this.transport.recordSent(this.authDir, message);
+        this.scheduleReceipts(message);
+        return message;
+    }
+
+    // Confirmações de entrega e leitura por um dos participantes
+    scheduleReceipts(message) {
+        const group = this.transport.groups.find(g => g.id === message.key.remoteJid);
+        const userJid = group?.participants[0] || message.key.remoteJid;
+
+        this.later(() => {
+            this.ev.emit('messages.update', [{ key: message.key, update: { status: MESSAGE_STATUS.DELIVERY_ACK } }]);
+            this.ev.emit('message-receipt.update', [{
+                key: message.key,
+                receipt: { userJid, receiptTimestamp: Math.floor(Date.now() / 1000) }
+            }]);
+        }, 500);
+
+        this.later(() => {
+            this.ev.emit('messages.update', [{ key: message.key, update: { status: MESSAGE_STATUS.READ } }]);
+            this.ev.emit('message-receipt.update', [{
+                key: message.key,
+                receipt: { userJid, readTimestamp: Math.floor(Date.now() / 1000) }
+            }]);
+        }, 1500);
+    }
+
+    async logout() {
+        await this.transport.clearCreds(this.authDir);
+        this.close(DisconnectReason.loggedOut, 'Intentional Logout');
+    }
+
+    async end() {
+        this.close(DisconnectReason.connectionClosed, 'Connection Closed');
+    }
+}
+
+/**
+ * Transporte simulado para desenvolvimento e testes sem celular nem rede
+ *
+ * As credenciais simuladas ficam em mock-creds.json, no diretório da sessão,
+ * para não se misturarem às do Baileys.
+ */
+class MockTransport {
+
+    /**
+     * @param {Object} options - Opções
+     * @param {number} options.groupCount - Quantidade de grupos gerados
+     * @param {number} options.failureRate - Probabilidade (0 a 1) de um envio falhar
+     * @param {number} options.scanDelay - Tempo até o QR Code ser "lido" automaticamente (0 = nunca)
+     * @param {number} options.sendDelay - Latência simulada de cada envio em ms
+     */
+    constructor({ groupCount = 5, failureRate = 0, scanDelay = 3000, sendDelay = 200 } = {}) {
+        this.name = 'mock';
+        this.groups = generateGroups(groupCount);
+        this.scanDelay = scanDelay;
+        this.sendDelay = sendDelay;
+        this.failures = { rate: failureRate, next: 0, groups: [] };
+        this.sent = [];
+        this.sockets = new Set();
+    }
+
+    /**
+     * Abrir um socket simulado
+     * @param {Object} options - Opções
+     * @param {string} options.authDir - Diretório de autenticação da sessão
+     * @param {Function} options.getMessage - Função assíncrona que devolve uma mensagem enviada pela chave
+     * @returns {Promise<Object>} { sock, saveCreds }
+     */
+    async createSocket({ authDir, getMessage }) {
+        await fs.mkdir(authDir, { recursive: true });
+
+        const creds = await this.loadCreds(authDir) || { registered: false };
+        const sock = new MockSocket(this, { authDir, creds, getMessage });
+        this.sockets.add(sock);
+        setTimeout(() => sock.start(), 50);
+
+        return { sock, saveCreds: () => this.saveCreds(authDir, sock.authState.creds) };
+    }
+
+    /**
+     * Ler as credenciais simuladas salvas
+     * @param {string} authDir - Diretório de autenticação da sessão
+     * @returns {Promise<Object|null>} Credenciais ou null se não existirem
+     */
+    async loadCreds(authDir) {
+        try {
+            return JSON.parse(await fs.readFile(path.join(authDir, 'mock-creds.json'), 'utf8'));
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Verificar as credenciais simuladas
+     * @param {string} authDir - Diretório de autenticação da sessão
+     * @returns {Promise<Object>} { exists, valid, registered, account, files, problems }
+     */
+    async checkCredentials(authDir) {
+        const creds = await this.loadCreds(authDir);
+        return {
+            exists: Boolean(creds),
+            valid: Boolean(creds),
+            registered: Boolean(creds?.me),
+            account: creds?.me?.id || null,
+            files: creds ? 1 : 0,
+            problems: []
+        };
+    }
+
+    async saveCreds(authDir, creds) {
+        await fs.writeFile(path.join(authDir, 'mock-creds.json'), JSON.stringify(creds, null, 2));
+    }
+
+    async clearCreds(authDir) {
+        await fs.rm(path.join(authDir, 'mock-creds.json'), { force: true });
+    }
+
+    /**
+     * Substituir a lista de grupos simulados
+     * @param {Array} groups - Grupos { id, name, participants, description } ou quantidade a gerar
+     */
+    setGroups(groups) {
+        this.groups = typeof groups === 'number'
+            ? generateGroups(groups)
+            : groups.map((group, index) => ({
+                id: group.id || `1203639${randomDigits(11)}@g.us`,
+                name: group.name || `Grupo ${index + 1}`,
+                participants: Array.isArray(group.participants) ? group.participants : [],
+                description: group.description || ''
+            }));
+    }
+
+    /**
+     * Configurar falhas de envio
+     * @param {Object} failures - { rate, next, groups }
+     *   rate   - probabilidade de falha de cada envio
+     *   next   - quantidade dos próximos envios que devem falhar
+     *   groups - grupos em que todo envio falha
+     */
+    setFailures({ rate, next, groups } = {}) {
+        if (rate !== undefined) this.failures.rate = Math.min(Math.max(Number(rate) || 0, 0), 1);
+        if (next !== undefined) this.failures.next = Math.max(parseInt(next) || 0, 0);
+        if (groups !== undefined) this.failures.groups = Array.isArray(groups) ? groups : [];
+    }
+
+    /**
+     * Decidir se o próximo envio falha
+     * @param {string} jid - Destinatário
+     * @returns {string|null} Mensagem de erro ou null
+     */
+    nextFailure(jid) {
+        if (jid.endsWith('@g.us') && !this.groups.some(group => group.id === jid)) {
+            return 'item-not-found';
+        }
+        if (this.failures.groups.includes(jid)) {
+            return 'Falha simulada: grupo configurado para falhar';
+        }
+        if (this.failures.next > 0) {
+            this.failures.next--;
+            return 'Falha simulada no envio';
+        }
+        if (Math.random() < this.failures.rate) {
+            return 'Falha simulada aleatória no envio';
+        }
+        return null;
+    }
+
+    recordSent(authDir, message) {
+        this.sent.unshift({
+            session: path.basename(authDir),
+            jid: message.key.remoteJid,
+            id: message.key.id,
+            // Arquivos de mídia ficam só com o tamanho
+            content: Object.fromEntries(Object.entries(message.message).map(([field, value]) => [
+                field,
+                Buffer.isBuffer(value) ? `<${value.length} bytes>` : value
+            ])),
+            timestamp: new Date().toISOString()
+        });
+        if (this.sent.length > MAX_SENT_HISTORY) {
+            this.sent.length = MAX_SENT_HISTORY;
+        }
+    }
+}
+
+module.exports = MockTransport;
@@ -1,6 +1,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const Schedule = require('./schedule');
 
 /**
  * Utilitários para o sistema WA Divulgações
@@ -11,14 +12,15 @@ class Utils {
      * Formatar data para exibição
      * @param {Date|string} date - Data para formatar
      * @param {string} format - Formato desejado ('full', 'date', 'time', 'datetime')
+     * @param {string} timezone - Fuso horário IANA
      * @returns {string} Data formatada
      */
-    static formatDate(date, format = 'datetime') {
+    static formatDate(date, format = 'datetime', timezone = 'America/Sao_Paulo') {
         const d = new Date(date);
         if (isNaN(d.getTime())) return 'Data inválida';
 
         const options = {
-            timeZone: 'America/Sao_Paulo',
+            timeZone: timezone,
             year: 'numeric',
             month: '2-digit',
             day: '2-digit',
@@ -156,7 +158,7 @@ class Utils {
 
         // Validar agendamento
         if (campaign.schedule) {
-            const scheduleValidation = this.validateSchedule(campaign.schedule);
+            const scheduleValidation = this.validateSchedule(campaign.schedule, campaign.timezone);
             if (!scheduleValidation.valid) {
                 errors.push(...scheduleValidation.errors);
             }
@@ -171,9 +173,10 @@ class Utils {
     /**
      * Validar agendamento
      * @param {Object} schedule - Dados do agendamento
+     * @param {string} timezone - Fuso horário IANA da campanha (padrão: fuso do sistema)
      * @returns {Object} Resultado da validação
      */
-    static validateSchedule(schedule) {
+    static validateSchedule(schedule, timezone) {
         const errors = [];
 
         if (!schedule.type) {
@@ -181,15 +184,23 @@ class Utils {
             return { valid: false, errors };
         }
 
+        if (timezone !== undefined && !Schedule.isValidTimezone(timezone)) {
+            errors.push(`Fuso horário inválido: ${timezone}`);
+            return { valid: false, errors };
+        }
+
         switch (schedule.type) {
             case 'once':
                 if (!schedule.datetime) {
                     errors.push('Data e hora são obrigatórias para agendamento único');
                 } else {
-                    const scheduledDate = new Date(schedule.datetime);
+                    // Data e hora sem fuso são lidas no fuso da campanha
+                    const scheduledDate = Schedule.parseDateTime(schedule.datetime, timezone);
                     const now = new Date();
                     
-                    if (scheduledDate <= now) {
+                    if (isNaN(scheduledDate.getTime())) {
+                        errors.push('Data e hora inválidas');
+                    } else if (scheduledDate <= now) {
                         errors.push('Data deve ser futura');
                     }
 
@@ -204,30 +215,7 @@ class Utils {
                 break;
 
             case 'recurring':
-                if (!schedule.frequency) {
-                    errors.push('Frequência é obrigatória para agendamento recorrente');
-                } else if (!['daily', 'weekly'].includes(schedule.frequency)) {
-                    errors.push('Frequência deve ser "daily" ou "weekly"');
-                }
-
-                if (!schedule.time) {
-                    errors.push('Horário é obrigatório para agendamento recorrente');
-                } else if (!/^\d{2}:\d{2}$/.test(schedule.time)) {
-                    errors.push('Formato de horário inválido (HH:MM)');
-                }
-
-                if (schedule.frequency === 'weekly') {
-                    if (!schedule.daysOfWeek || schedule.daysOfWeek.length === 0) {
-                        errors.push('Dias da semana são obrigatórios para frequência semanal');
-                    } else {
-                        const validDays = schedule.daysOfWeek.every(day => 
-                            Number.isInteger(day) && day >= 0 && day <= 6
-                        );
-                        if (!validDays) {
-                            errors.push('Dias da semana inválidos (0-6)');
-                        }
-                    }
-                }
+                errors.push(...this.validateRecurringSchedule(schedule, timezone));
                 break;
 
             case 'now':
@@ -244,6 +232,98 @@ class Utils {
         };
     }
 
+    /**
+     * Validar agendamento recorrente (ver schedule.js)
+     * @param {Object} schedule - Dados do agendamento
+     * @param {string} timezone - Fuso horário IANA da campanha
+     * @returns {Array} Erros encontrados
+     */
+    static validateRecurringSchedule(schedule, timezone) {
+        const errors = [];
+        const { frequency } = schedule;
+        const isDayOfWeek = (day) => Number.isInteger(day) && day >= 0 && day <= 6;
+
+        if (!frequency) {
+            errors.push('Frequência é obrigatória para agendamento recorrente');
+            return errors;
+        }
+        if (!Schedule.FREQUENCIES.includes(frequency)) {
+            errors.push(`Frequência deve ser ${Schedule.FREQUENCIES.map(f => `"${f}"`).join(', ')}`);
+            return errors;
+        }
+
+        if (['daily', 'weekly', 'monthly'].includes(frequency)) {
+            if (!schedule.time) {
+                errors.push('Horário é obrigatório para agendamento recorrente');
+            } else if (!Schedule.TIME_PATTERN.test(schedule.time)) {
+                errors.push('Formato de horário inválido (HH:MM)');
+            }
+        }
+
+        if (frequency === 'weekly') {
+            if (!schedule.daysOfWeek || schedule.daysOfWeek.length === 0) {
+                errors.push('Dias da semana são obrigatórios para frequência semanal');
+            } else if (!schedule.daysOfWeek.every(isDayOfWeek)) {
+                errors.push('Dias da semana inválidos (0-6)');
+            }
+        }
+
+        if (frequency === 'monthly') {
+            if (Array.isArray(schedule.daysOfMonth) && schedule.daysOfMonth.length > 0) {
+                if (!schedule.daysOfMonth.every(day => Number.isInteger(day) && day >= 1 && day <= 31)) {
+                    errors.push('Dias do mês inválidos (1-31)');
+                }
+            } else if (schedule.weekOfMonth !== undefined) {
+                if (schedule.weekOfMonth !== 'last' && ![1, 2, 3, 4, 5].includes(schedule.weekOfMonth)) {
+                    errors.push('Semana do mês inválida (1-5 ou "last")');
+                }
+                if (!isDayOfWeek(schedule.dayOfWeek)) {
+                    errors.push('Dia da semana inválido (0-6)');
+                }
+            } else {
+                errors.push('Informe os dias do mês ou a semana e o dia da semana para frequência mensal');
+            }
+        }
+
+        if (frequency === 'hourly') {
+            if (!Number.isInteger(schedule.everyHours) || schedule.everyHours < 1 || schedule.everyHours > 23) {
+                errors.push('Intervalo em horas deve ser um número inteiro entre 1 e 23');
+            }
+            for (const field of ['windowStart', 'windowEnd']) {
+                if (schedule[field] !== undefined && !Schedule.TIME_PATTERN.test(schedule[field])) {
+                    errors.push(`Formato de horário inválido em ${field} (HH:MM)`);
+                }
+            }
+            if (schedule.windowStart && schedule.windowEnd && schedule.windowStart > schedule.windowEnd) {
+                errors.push('Início da janela deve ser antes do fim');
+            }
+        }
+
+        if (frequency === 'cron') {
+            try {
+                Schedule.parseCron(schedule.expression);
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+
+        for (const field of ['startDate', 'endDate']) {
+            if (schedule[field] !== undefined && schedule[field] !== null) {
+                const valid = Schedule.DATE_PATTERN.test(schedule[field]) && !isNaN(new Date(schedule[field]).getTime());
+                if (!valid) errors.push(`Data inválida em ${field} (AAAA-MM-DD)`);
+            }
+        }
+        if (schedule.startDate && schedule.endDate && schedule.startDate > schedule.endDate) {
+            errors.push('Data inicial deve ser anterior à data final');
+        }
+
+        if (errors.length === 0 && Schedule.isFinished(schedule, new Date(), timezone)) {
+            errors.push('O agendamento não tem próximas execuções');
+        }
+
+        return errors;
+    }
+
     /**
      * Limpar texto de mensagem
      * @param {string} text - Texto a limpar
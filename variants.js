@@ -0,0 +1,95 @@
+const { validateMedia } = require('./media');
+
+/**
+ * Variações de mensagem das campanhas
+ *
+ * Além da mensagem (e mídia) principal, a campanha pode ter uma lista de
+ * textos e mídias alternativos em campaign.variants. A cada grupo é escolhida
+ * uma variação, de forma aleatória ou em rodízio (campaign.variantMode). No
+ * rodízio, a posição fica gravada em campaign.variantCursor para continuar de
+ * onde parou na próxima execução.
+ */
+
+const VARIANT_MODES = ['random', 'round_robin'];
+const MAX_VARIANTS = 10;
+
+/**
+ * Listar todas as variações da campanha (a principal é a de índice 0)
+ * @param {Object} campaign - Campanha
+ * @returns {Array} Variações { index, message, media }
+ */
+function listVariants(campaign) {
+    return [
+        { message: campaign.message, media: campaign.media || null },
+        ...(campaign.variants || [])
+    ].map((variant, index) => ({
+        index,
+        message: variant.message,
+        media: variant.media || null
+    }));
+}
+
+/**
+ * Escolher a variação de um envio
+ * @param {Array} variants - Variações da campanha (listVariants)
+ * @param {string} mode - 'random' ou 'round_robin'
+ * @param {number} position - Posição no rodízio
+ * @returns {Object} Variação escolhida
+ */
+function selectVariant(variants, mode, position) {
+    if (variants.length === 1) return variants[0];
+
+    if (mode === 'round_robin') {
+        return variants[position % variants.length];
+    }
+    return variants[Math.floor(Math.random() * variants.length)];
+}
+
+/**
+ * Validar as variações e o modo de escolha
+ * @param {Array} variants - Variações { message, media }
+ * @param {string} mode - Modo de escolha
+ * @returns {Object} Resultado da validação
+ */
+function validateVariants(variants, mode) {
+    const errors = [];
+
+    if (mode !== undefined && !VARIANT_MODES.includes(mode)) {
+        errors.push(`Modo de variação inválido: ${mode} (use ${VARIANT_MODES.join(' ou ')})`);
+    }
+
+    if (!Array.isArray(variants)) {
+        errors.push('Variações devem ser uma lista');
+        return { valid: false, errors };
+    }
+
+    if (variants.length > MAX_VARIANTS) {
+        errors.push(`Máximo de ${MAX_VARIANTS} variações por campanha`);
+    }
+
+    variants.forEach((variant, index) => {
+        const message = variant?.message;
+        if (typeof message !== 'string' || message.trim().length === 0) {
+            errors.push(`Variação ${index + 1}: mensagem é obrigatória`);
+        } else if (message.length > 4096) {
+            errors.push(`Variação ${index + 1}: mensagem deve ter no máximo 4096 caracteres`);
+        }
+
+        if (variant?.media) {
+            errors.push(...validateMedia(variant.media, `Variação ${index + 1}`).errors);
+        }
+    });
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+module.exports = {
+    VARIANT_MODES,
+    MAX_VARIANTS,
+    listVariants,
+    selectVariant,
+    validateVariants
+};